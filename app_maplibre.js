@@ -3,26 +3,81 @@
 
 const state = {
   map: null,
-  zoningData: null, // Only populated in GeoJSON fallback
-  fluData: null,
+  dataWorker: null, // GeoJSON fallback: client for geojson_worker.js
+  geojsonExtent: null, // [w, s, e, n] of the zoning data (GeoJSON fallback)
   zoningMode: "unknown", // 'vector' | 'geojson'
+  datasetErrors: {}, // dataset name -> why it failed to load (it has no layers)
+  unavailable: {
+    // need zoning attributes the data lacks (see FIELD_DEPENDENCIES)
+    filters: [], // state.filters keys held at their defaults
+    styleModes: [],
+    dateFields: [],
+  },
   filters: {
     group: "ALL",
     yearMin: 1980,
     yearMax: 2030,
+    dateField: "ANY", // 'ANY' or one of DATE_FIELDS
+    includeUndated: true,
     areaMin: 0,
     areaMax: 1000,
     search: "",
+    hiddenGroups: [], // z_group values switched off in the legend (replace, don't mutate)
+    query: emptyQuery(), // query builder conditions (replace, don't mutate)
+    zoningCode: "", // exact ZONING code, set from the analytics charts
+    transition: null, // { level, from, to, oldCodes }, set from the transition matrix
     showZoning: true,
     showFLU: false,
   },
+  chartFilters: new Set(), // 'group' | 'years' when last set by clicking a chart
+  styleMode: "group", // key of STYLE_MODES coloring the zoning fill
+  styleCodes: [], // ZONING codes with their own color in 'code' mode
+  palette: "default", // key of PALETTES
+  basemap: {
+    id: "streets", // key of BASEMAPS
+    adjustments: {}, // basemap id -> { opacity, saturation } changed by the user
+    localAvailable: false, // data/basemap.pmtiles is deployed
+  },
+  legendCounts: null, // [{ count, acres }] per legend class, visible districts
+  selection: null, // [lng, lat] of the clicked point, mirrored in the URL hash
+  initialHash: null, // parsed URL hash at startup
+  permalinkReady: false,
+  restoringHash: false, // camera being restored from Back/Forward
+  consistency: {
+    enabled: false,
+    results: new Map(), // zoning feature id -> { status, share, designations }
+    analyzedAll: false, // GeoJSON mode: every district has a result
+    running: false,
+    pending: false,
+  },
+  draw: {
+    mode: null, // 'polygon' | 'rectangle' | 'circle' while drawing
+    points: [], // [lng, lat] vertices placed so far
+    shape: null, // finished GeoJSON Polygon feature scoping analytics/export
+  },
+  picked: new Map(), // shift-clicked zoning feature id -> properties (analytics selection)
+  vectorDataset: null, // Promise of whole zoning features read from the PMTiles archive
   charts: {},
   analyticsPanel: null,
   analyticsOpen: false,
   analyticsHandlersBound: false,
+  analyticsRun: 0, // latest analytics update; older async results are dropped
+  analyticsScope: "viewport", // 'viewport' | 'county' | 'area' (drawn shape) | 'selection' (picked)
+  analyticsSummary: null, // last complete summary (summary export)
+  queryFields: null, // [{ name, type }] attributes offered by the query builder
+  queryFieldsRequest: null, // Promise of queryFields
+  savedViews: [], // [{ name, savedAt, filters, styleMode, consistency, camera }]
+  pd: {
+    list: null, // Promise of the Planned Development rows (whole dataset)
+    rows: null, // resolved rows, once loaded
+    selected: null, // PD_NAME shown on the map
+  },
+  transitionView: { level: "group", metric: "count" }, // transition matrix
   resizeTimeout: null,
 };
 
+// Zoning group colors. applyPalette() rewrites the values in place, so the
+// map, legend, charts and KML export all read the active palette from here.
 const colors = {
   Residential: "#6aa6ff",
   Commercial: "#ffb057",
@@ -34,14 +89,316 @@ const colors = {
   Other: "#87d4a5",
 };
 
+// Group colors plus a 12-color sequence for per-code series (code style
+// mode, the zoning-code chart). The alternatives stay distinguishable with
+// the common color-vision deficiencies.
+const PALETTES = {
+  default: {
+    label: "Default",
+    groups: { ...colors },
+    codes: [
+      "#4e79a7",
+      "#f28e2b",
+      "#e15759",
+      "#76b7b2",
+      "#59a14f",
+      "#edc948",
+      "#b07aa1",
+      "#ff9da7",
+      "#9c755f",
+      "#86bcb6",
+      "#d37295",
+      "#bab0ac",
+    ],
+  },
+  okabeIto: {
+    label: "Colorblind-safe (Okabe–Ito)",
+    groups: {
+      Residential: "#56b4e9",
+      Commercial: "#e69f00",
+      Industrial: "#d55e00",
+      "Planned Development": "#cc79a7",
+      Agricultural: "#009e73",
+      "Mixed Use": "#f0e442",
+      Incorporated: "#999999",
+      Other: "#0072b2",
+    },
+    codes: [
+      "#56b4e9",
+      "#e69f00",
+      "#009e73",
+      "#f0e442",
+      "#0072b2",
+      "#d55e00",
+      "#cc79a7",
+      "#999999",
+      "#88ccee",
+      "#ddcc77",
+      "#44aa99",
+      "#aa4499",
+    ],
+  },
+  tolMuted: {
+    label: "Colorblind-safe (Tol muted)",
+    groups: {
+      Residential: "#88ccee",
+      Commercial: "#ddcc77",
+      Industrial: "#cc6677",
+      "Planned Development": "#aa4499",
+      Agricultural: "#117733",
+      "Mixed Use": "#999933",
+      Incorporated: "#dddddd",
+      Other: "#44aa99",
+    },
+    codes: [
+      "#332288",
+      "#88ccee",
+      "#44aa99",
+      "#117733",
+      "#999933",
+      "#ddcc77",
+      "#cc6677",
+      "#882255",
+      "#aa4499",
+      "#dddddd",
+      "#6699cc",
+      "#997700",
+    ],
+  },
+};
+const PALETTE_STORAGE_KEY = "oc-zoning:palette";
+const SAVED_VIEWS_STORAGE_KEY = "oc-zoning:views";
+
+// Background maps. opacity (0-1) and saturation (-1 to 1, as MapLibre's
+// raster-saturation) are the defaults the user can adjust per basemap.
+// `local` reads a Protomaps-schema vector basemap from this site, so it
+// works offline; its labels use glyphs in data/basemap_fonts/.
+const BASEMAPS = {
+  streets: {
+    label: "Streets (OpenStreetMap)",
+    type: "raster",
+    tiles: ["a", "b", "c"].map(
+      (s) => `https://${s}.tile.openstreetmap.org/{z}/{x}/{y}.png`
+    ),
+    maxzoom: 19,
+    attribution: "© OpenStreetMap contributors",
+    opacity: 0.3,
+    saturation: -0.8,
+    contrast: 0.2,
+  },
+  plain: {
+    label: "Plain (CARTO Positron)",
+    type: "raster",
+    tiles: ["a", "b", "c"].map(
+      (s) => `https://${s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}.png`
+    ),
+    maxzoom: 20,
+    attribution: "© OpenStreetMap contributors © CARTO",
+    opacity: 0.5,
+    saturation: 0,
+  },
+  aerial: {
+    label: "Aerial (Esri World Imagery)",
+    type: "raster",
+    tiles: [
+      "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    ],
+    maxzoom: 19,
+    attribution: "Esri, Maxar, Earthstar Geographics",
+    opacity: 0.6,
+    saturation: -0.3,
+  },
+  local: {
+    label: "Offline streets (local)",
+    type: "vector",
+    file: "data/basemap.pmtiles",
+    attribution: "© OpenStreetMap contributors, Protomaps",
+    opacity: 0.6,
+    saturation: -0.5,
+    layers: [
+      {
+        id: "basemap-background",
+        type: "background",
+        paint: { "background-color": "#e8e4dc" },
+      },
+      {
+        id: "basemap-earth",
+        type: "fill",
+        "source-layer": "earth",
+        paint: { "fill-color": "#e8e4dc" },
+      },
+      {
+        id: "basemap-parks",
+        type: "fill",
+        "source-layer": "landuse",
+        filter: [
+          "in",
+          ["get", "kind"],
+          ["literal", ["park", "nature_reserve", "forest", "golf_course"]],
+        ],
+        paint: { "fill-color": "#c7dfb5" },
+      },
+      {
+        id: "basemap-water",
+        type: "fill",
+        "source-layer": "water",
+        paint: { "fill-color": "#9cc3e0" },
+      },
+      {
+        id: "basemap-boundaries",
+        type: "line",
+        "source-layer": "boundaries",
+        paint: {
+          "line-color": "#9a8fa8",
+          "line-width": 1,
+          "line-dasharray": [3, 2],
+        },
+      },
+      {
+        id: "basemap-roads-minor",
+        type: "line",
+        "source-layer": "roads",
+        minzoom: 12,
+        filter: ["in", ["get", "kind"], ["literal", ["minor_road", "path"]]],
+        paint: {
+          "line-color": "#ffffff",
+          "line-width": ["interpolate", ["linear"], ["zoom"], 12, 0.5, 17, 5],
+        },
+      },
+      {
+        id: "basemap-roads-major",
+        type: "line",
+        "source-layer": "roads",
+        filter: ["==", ["get", "kind"], "major_road"],
+        paint: {
+          "line-color": "#fdf3d7",
+          "line-width": ["interpolate", ["linear"], ["zoom"], 8, 0.5, 17, 8],
+        },
+      },
+      {
+        id: "basemap-roads-highway",
+        type: "line",
+        "source-layer": "roads",
+        filter: ["==", ["get", "kind"], "highway"],
+        paint: {
+          "line-color": "#f6c98e",
+          "line-width": ["interpolate", ["linear"], ["zoom"], 6, 0.8, 17, 10],
+        },
+      },
+      {
+        id: "basemap-road-labels",
+        type: "symbol",
+        "source-layer": "roads",
+        minzoom: 13,
+        filter: [
+          "in",
+          ["get", "kind"],
+          ["literal", ["highway", "major_road", "minor_road"]],
+        ],
+        layout: {
+          "symbol-placement": "line",
+          "text-field": ["get", "name"],
+          "text-font": ["Noto Sans Regular"],
+          "text-size": 11,
+        },
+        paint: {
+          "text-color": "#5b5b5b",
+          "text-halo-color": "#ffffff",
+          "text-halo-width": 1,
+        },
+      },
+      {
+        id: "basemap-place-labels",
+        type: "symbol",
+        "source-layer": "places",
+        filter: [
+          "in",
+          ["get", "kind"],
+          ["literal", ["locality", "neighbourhood", "macrohood"]],
+        ],
+        layout: {
+          "text-field": ["get", "name"],
+          "text-font": ["Noto Sans Regular"],
+          "text-size": ["case", ["==", ["get", "kind"], "locality"], 14, 11],
+        },
+        paint: {
+          "text-color": "#3d3d3d",
+          "text-halo-color": "#ffffff",
+          "text-halo-width": 1.5,
+        },
+      },
+    ],
+  },
+};
+const BASEMAP_STORAGE_KEY = "oc-zoning:basemap";
+
+// Deployment settings. The values here are the Orange County defaults;
+// applyConfig() replaces them in place from config.json before init.
+const SITE = {
+  title: "OCFL Zoning Explorer",
+  jurisdiction: "Orange County, FL",
+  defaultView: { center: [-81.38, 28.5], zoom: 10 },
+  // sidebar filter controls on offer
+  filters: { group: true, years: true, area: true, search: true, query: true },
+};
+const DATASETS = {
+  zoning: {
+    pmtiles: "data/zoning.pmtiles",
+    geojson: "data/zoning_optimized.geojson",
+    sourceLayer: "zoning",
+  },
+  flu: {
+    pmtiles: "data/flu.pmtiles",
+    geojson: "data/flu_optimized.geojson",
+    sourceLayer: "flu",
+    designationField: null, // else the first of FLU_DESIGNATION_FIELDS present
+  },
+};
+
+// Tried in order when the FIELDS.id attribute (promoted to feature ids for
+// feature-state and for stitching tile pieces back together) is missing
+const FALLBACK_ID_FIELDS = ["ogc_fid", "FID", "id"];
+
+const SQ_METERS_PER_ACRE = 4046.8564224;
+
+// Zoning date attributes, stored as epoch milliseconds (config: fields.dates)
+const DATE_FIELDS = ["BCC_DATE", "P_Z_DATE", "MAINT_DATE"];
+const DATE_FIELD_LABELS = {
+  ANY: "Any date",
+  BCC_DATE: "BCC date",
+  P_Z_DATE: "P&Z date",
+  MAINT_DATE: "Maintenance date",
+};
+
+// Parallel tile reads when walking the whole PMTiles archive
+const TILE_FETCH_CONCURRENCY = 6;
+// Most tiles one archive walk reads (about 1,200 for the county at z14)
+const MAX_ARCHIVE_TILES = 4096;
+
+// Snapshot of the default filters; permalinks only encode what differs
+const DEFAULT_FILTERS = { ...state.filters };
+
 // --- Init
-function init() {
+async function init() {
+  // datasets, fields and categories come from config.json
+  const config = await loadConfig();
+  if (!config) return;
+  applyConfig(config);
+
   // enable PMTiles protocol
   const protocol = new pmtiles.Protocol();
   maplibregl.addProtocol("pmtiles", protocol.tile);
 
+  // restore shared state from the URL before anything is drawn
+  state.initialHash = parseHashState(window.location.hash);
+  Object.assign(state.filters, state.initialHash.filters);
+  state.consistency.enabled = state.initialHash.consistency;
+  state.styleMode = state.initialHash.styleMode;
+  usePalette(storedPalette());
+
   initMap();
   wireUiBasics();
+  initOfflineSupport();
 }
 
 function initMap() {
@@ -49,29 +406,15 @@ function initMap() {
     container: "map",
     style: {
       version: 8,
-      sources: {
-        "osm-tiles": {
-          type: "raster",
-          tiles: ["https://a.tile.openstreetmap.org/{z}/{x}/{y}.png"],
-          tileSize: 256,
-          attribution: "© OpenStreetMap contributors",
-        },
-      },
-      layers: [
-        {
-          id: "osm-tiles",
-          type: "raster",
-          source: "osm-tiles",
-          paint: {
-            "raster-opacity": 0.3,
-            "raster-saturation": -0.8,
-            "raster-contrast": 0.2,
-          },
-        },
-      ],
+      // "{fontstack}" must not be URL-encoded, so only the base is resolved
+      glyphs: `${
+        new URL("data/basemap_fonts/", window.location.href).href
+      }{fontstack}/{range}.pbf`,
+      sources: {},
+      layers: [],
     },
-    center: [-81.38, 28.5],
-    zoom: 10,
+    center: state.initialHash?.camera?.center || SITE.defaultView.center,
+    zoom: state.initialHash?.camera?.zoom ?? SITE.defaultView.zoom,
     attributionControl: false,
   });
 
@@ -79,605 +422,4258 @@ function initMap() {
   state.map.addControl(new maplibregl.NavigationControl(), "top-right");
 
   state.map.on("load", async () => {
+    initBasemap();
     await loadData(); // now it's safe to add sources/layers
+    await checkDataAgainstConfig(); // before the filters it disables are wired
     addLegend();
+    addDrawTools();
     wireControls(); // hook up after data exists
     // initial filter push
     updateLayerFilters();
+    initPermalinks();
   });
 
   // selection handlers added once layers exist (in loadData)
 }
 
-// --- Data loading
-async function loadData() {
-  try {
-    const pmtilesAvailable = await checkPMTilesAvailability();
-    if (pmtilesAvailable) {
-      await loadPMTilesData();
-      state.zoningMode = "vector";
-    } else {
-      await loadOptimizedGeoJSON();
-      state.zoningMode = "geojson";
-    }
-    fitMapToDataIfGeoJSON();
-  } catch (e) {
-    console.error(e);
-    showNotification("Failed to load data. Please refresh.", "error");
-  }
-}
+// --- Config
+// config.json describes the deployment: datasets, the attribute behind each
+// field role, categories and their colors, the filters on offer, the range
+// limits and the default view. Every section is optional; what is given is
+// validated up front, and the attributes it names are checked against the
+// data once it loads.
+const CONFIG_URL = "config.json";
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
 
-async function checkPMTilesAvailability() {
+// Returns the parsed config, or null after showing why it can't be used
+async function loadConfig() {
+  let config;
   try {
-    const response = await fetch("data/zoning.pmtiles", { method: "HEAD" });
-    return response.ok;
-  } catch {
-    return false;
+    const response = await fetch(CONFIG_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    config = JSON.parse(await response.text());
+  } catch (err) {
+    showConfigProblems(`${CONFIG_URL} could not be read`, [err.message], {
+      fatal: true,
+    });
+    return null;
   }
+  const problems = validateConfig(config);
+  if (problems.length) {
+    showConfigProblems(`${CONFIG_URL} is invalid`, problems, { fatal: true });
+    return null;
+  }
+  return config;
 }
 
-async function loadPMTilesData() {
-  // zoning
-  state.map.addSource("zoning", {
-    type: "vector",
-    url: "pmtiles://./data/zoning.pmtiles",
-  });
+// Problems as readable sentences; empty when the config can be applied
+function validateConfig(config) {
+  const problems = [];
+  const isObject = (v) =>
+    v != null && typeof v === "object" && !Array.isArray(v);
+  const isText = (v) => typeof v === "string" && v.trim() !== "";
+  const check = (ok, message) => {
+    if (!ok) problems.push(message);
+  };
+  const optionalText = (v, key) =>
+    check(v === undefined || isText(v), `${key} must be a non-empty string`);
+  const range = (v, key) =>
+    check(
+      v === undefined ||
+        (Array.isArray(v) &&
+          v.length === 2 &&
+          v.every(Number.isInteger) &&
+          v[0] >= 0 &&
+          v[0] < v[1]),
+      `${key} must be [min, max] with whole numbers, 0 <= min < max`
+    );
+  const section = (key, validate) => {
+    if (config[key] === undefined) return;
+    if (isObject(config[key])) validate(config[key]);
+    else problems.push(`${key} must be an object`);
+  };
 
-  state.map.addLayer({
-    id: "zoning-fill",
-    type: "fill",
-    source: "zoning",
-    "source-layer": "zoning",
-    paint: {
-      "fill-color": [
-        "match",
-        ["get", "z_group"],
-        "Residential",
-        colors.Residential,
-        "Commercial",
-        colors.Commercial,
-        "Industrial",
-        colors.Industrial,
-        "Planned Development",
-        colors["Planned Development"],
-        "Agricultural",
-        colors.Agricultural,
-        "Mixed Use",
-        colors["Mixed Use"],
-        "Incorporated",
-        colors.Incorporated,
-        colors.Other,
-      ],
-      "fill-opacity": 0.8,
-    },
+  if (!isObject(config)) return ["the file must hold a JSON object"];
+  optionalText(config.title, "title");
+  optionalText(config.jurisdiction, "jurisdiction");
+
+  section("datasets", (datasets) => {
+    for (const [name, d] of Object.entries(datasets)) {
+      if (!Object.hasOwn(DATASETS, name)) {
+        problems.push(
+          `datasets.${name} is not a dataset of this app (${Object.keys(
+            DATASETS
+          ).join(", ")})`
+        );
+      } else if (!isObject(d)) {
+        problems.push(`datasets.${name} must be an object`);
+      } else {
+        for (const key of Object.keys(d)) {
+          if (!Object.hasOwn(DATASETS[name], key))
+            problems.push(`datasets.${name}.${key} is not a dataset setting`);
+          else if (!(key === "designationField" && d[key] === null))
+            optionalText(d[key], `datasets.${name}.${key}`);
+        }
+      }
+    }
   });
 
-  state.map.addLayer({
-    id: "zoning-border",
-    type: "line",
-    source: "zoning",
-    "source-layer": "zoning",
-    paint: { "line-color": "#000000", "line-width": 1, "line-opacity": 0.5 },
+  section("fields", (fields) => {
+    for (const [role, value] of Object.entries(fields)) {
+      if (role === "dates") {
+        check(
+          isObject(value) &&
+            Object.keys(value).length > 0 &&
+            Object.entries(value).every(([k, v]) => isText(k) && isText(v)),
+          `fields.dates must map each date attribute to its label`
+        );
+      } else if (!Object.hasOwn(FIELDS, role)) {
+        problems.push(
+          `fields.${role} is not a field role (${Object.keys(FIELDS).join(
+            ", "
+          )}, dates)`
+        );
+      } else {
+        optionalText(value, `fields.${role}`);
+      }
+    }
   });
 
-  // FLU
-  state.map.addSource("flu", {
-    type: "vector",
-    url: "pmtiles://./data/flu.pmtiles",
+  if (config.searchFields !== undefined)
+    check(
+      Array.isArray(config.searchFields) &&
+        config.searchFields.length > 0 &&
+        config.searchFields.every(isText),
+      "searchFields must be a non-empty list of attribute names"
+    );
+
+  section("categories", (categories) => {
+    for (const [name, color] of Object.entries(categories)) {
+      check(
+        typeof color === "string" && HEX_COLOR.test(color),
+        `categories.${name} must be a color like "#6aa6ff"`
+      );
+    }
+    check(
+      Object.hasOwn(categories, "Other"),
+      `categories must include "Other" (districts in no other category)`
+    );
   });
 
-  state.map.addLayer({
-    id: "flu-fill",
-    type: "fill",
-    source: "flu",
-    "source-layer": "flu",
-    paint: { "fill-color": "#00e0c7", "fill-opacity": 0.15 },
-    layout: { visibility: "none" },
+  section("filters", (filters) => {
+    for (const [key, value] of Object.entries(filters)) {
+      if (!Object.hasOwn(SITE.filters, key))
+        problems.push(
+          `filters.${key} is not a filter (${Object.keys(SITE.filters).join(
+            ", "
+          )})`
+        );
+      else
+        check(
+          typeof value === "boolean",
+          `filters.${key} must be true or false`
+        );
+    }
   });
 
-  // interactions
-  state.map.on("click", "zoning-fill", (e) => selectFeature(e.features[0]));
-  state.map.on(
-    "mouseenter",
-    "zoning-fill",
-    () => (state.map.getCanvas().style.cursor = "pointer")
-  );
-  state.map.on(
-    "mouseleave",
-    "zoning-fill",
-    () => (state.map.getCanvas().style.cursor = "")
-  );
+  range(config.yearRange, "yearRange");
+  range(config.areaRange, "areaRange");
+
+  section("defaultView", ({ center, zoom }) => {
+    check(
+      Array.isArray(center) &&
+        center.length === 2 &&
+        Math.abs(center[0]) <= 180 &&
+        Math.abs(center[1]) <= 90,
+      "defaultView.center must be [longitude, latitude]"
+    );
+    check(
+      typeof zoom === "number" && zoom >= 0 && zoom <= 22,
+      "defaultView.zoom must be a number from 0 to 22"
+    );
+  });
+  return problems;
 }
 
-async function loadOptimizedGeoJSON() {
-  const [zoningResponse, fluResponse] = await Promise.all([
-    fetch("data/zoning_optimized.geojson"),
-    fetch("data/flu_optimized.geojson"),
-  ]);
-  if (!zoningResponse.ok || !fluResponse.ok) {
-    throw new Error("Failed to load optimized data files");
+// Copy a validated config into the settings objects, in place (other
+// modules hold references to them), and shape the sidebar to match
+function applyConfig(config) {
+  if (config.title) SITE.title = config.title;
+  if (config.jurisdiction) SITE.jurisdiction = config.jurisdiction;
+  if (config.defaultView) SITE.defaultView = config.defaultView;
+  Object.assign(SITE.filters, config.filters);
+  for (const [name, dataset] of Object.entries(config.datasets || {}))
+    Object.assign(DATASETS[name], dataset);
+
+  const { dates, ...fields } = config.fields || {};
+  Object.assign(FIELDS, fields);
+  if (dates) {
+    DATE_FIELDS.splice(0, DATE_FIELDS.length, ...Object.keys(dates));
+    for (const key of Object.keys(DATE_FIELD_LABELS)) {
+      if (key !== "ANY") delete DATE_FIELD_LABELS[key];
+    }
+    Object.assign(DATE_FIELD_LABELS, dates);
   }
+  const searchFields = config.searchFields || [
+    FIELDS.code,
+    FIELDS.group,
+    FIELDS.pdName,
+    FIELDS.previousCode,
+  ];
+  SEARCH_FIELDS.splice(0, SEARCH_FIELDS.length, ...searchFields);
 
-  state.zoningData = await zoningResponse.json();
-  state.fluData = await fluResponse.json();
+  if (config.categories) {
+    // "Other" is the catch-all, so it always comes last
+    const { Other, ...named } = config.categories;
+    for (const group of Object.keys(colors)) delete colors[group];
+    Object.assign(colors, named, { Other });
+    PALETTES.default.groups = { ...colors };
+  }
 
-  state.map.addSource("zoning", { type: "geojson", data: state.zoningData });
+  for (const [range, min, max] of [
+    [config.yearRange, "yearMin", "yearMax"],
+    [config.areaRange, "areaMin", "areaMax"],
+  ]) {
+    if (!range) continue;
+    [state.filters[min], state.filters[max]] = range;
+    [DEFAULT_FILTERS[min], DEFAULT_FILTERS[max]] = range;
+  }
+  renderConfiguredControls();
+}
 
-  state.map.addLayer({
-    id: "zoning-fill",
-    type: "fill",
-    source: "zoning",
-    paint: {
-      "fill-color": [
-        "match",
-        ["get", "z_group"],
-        "Residential",
-        colors.Residential,
-        "Commercial",
-        colors.Commercial,
-        "Industrial",
-        colors.Industrial,
-        "Planned Development",
-        colors["Planned Development"],
-        "Agricultural",
-        colors.Agricultural,
-        "Mixed Use",
-        colors["Mixed Use"],
-        "Incorporated",
-        colors.Incorporated,
-        colors.Other,
-      ],
-      "fill-opacity": 0.8,
-    },
-  });
+function renderConfiguredControls() {
+  document.title = SITE.title;
+  document.querySelector("#sidebar h1").textContent = SITE.title;
 
-  state.map.addLayer({
-    id: "zoning-border",
-    type: "line",
-    source: "zoning",
-    paint: { "line-color": "#000000", "line-width": 1, "line-opacity": 0.5 },
-  });
+  document.getElementById("groupFilter").innerHTML = [
+    `<option value="ALL">All Groups</option>`,
+    ...Object.keys(colors).map(
+      (group) =>
+        `<option value="${escapeHtml(group)}">${escapeHtml(group)}</option>`
+    ),
+  ].join("");
+  document.getElementById("dateField").innerHTML = [
+    `<option value="ANY">Any date (${escapeHtml(
+      DATE_FIELDS.map((f) => DATE_FIELD_LABELS[f]).join(", ")
+    )})</option>`,
+    ...DATE_FIELDS.map(
+      (f) =>
+        `<option value="${escapeHtml(f)}">${escapeHtml(
+          DATE_FIELD_LABELS[f]
+        )}</option>`
+    ),
+  ].join("");
 
-  state.map.addSource("flu", { type: "geojson", data: state.fluData });
+  for (const [lo, hi] of [
+    ["yearMin", "yearMax"],
+    ["areaMin", "areaMax"],
+  ]) {
+    for (const id of [lo, hi]) {
+      const input = document.getElementById(id);
+      input.min = DEFAULT_FILTERS[lo];
+      input.max = DEFAULT_FILTERS[hi];
+    }
+  }
 
-  state.map.addLayer({
-    id: "flu-fill",
-    type: "fill",
-    source: "flu",
-    paint: { "fill-color": "#00e0c7", "fill-opacity": 0.15 },
-    layout: { visibility: "none" },
-  });
+  for (const el of document.querySelectorAll("[data-filter]"))
+    el.hidden = !SITE.filters[el.dataset.filter];
+}
 
-  state.map.on("click", "zoning-fill", (e) => selectFeature(e.features[0]));
-  state.map.on(
-    "mouseenter",
-    "zoning-fill",
-    () => (state.map.getCanvas().style.cursor = "pointer")
-  );
-  state.map.on(
-    "mouseleave",
-    "zoning-fill",
-    () => (state.map.getCanvas().style.cursor = "")
+// Compare the attributes the config names with those in the zoning data,
+// and switch off what needs a missing one
+async function checkDataAgainstConfig() {
+  if (state.datasetErrors.zoning) return; // already reported
+  let fields;
+  try {
+    fields = await loadQueryFields();
+  } catch (err) {
+    showConfigProblems(`${CONFIG_URL} and the zoning data disagree`, [
+      err.message,
+    ]);
+    return;
+  }
+  const present = new Set(fields.map((f) => f.name));
+  disableMissingDataControls(present);
+  const expected = [
+    ...Object.entries(FIELDS)
+      // GeoJSON features may carry their id outside the properties
+      .filter(([role]) => role !== "id" || state.zoningMode === "vector")
+      .map(([role, name]) => [`fields.${role}`, name]),
+    ...DATE_FIELDS.map((name) => ["fields.dates", name]),
+    ...SEARCH_FIELDS.map((name) => ["searchFields", name]),
+  ];
+  const problems = [
+    ...new Set(
+      expected
+        .filter(([, name]) => !present.has(name))
+        .map(([key, name]) => `${key}: the data has no "${name}" attribute`)
+    ),
+  ];
+  if (!problems.length) return;
+  problems.push(
+    `Attributes in the data: ${[...present].sort().join(", ") || "none"}`
   );
+  showConfigProblems(`${CONFIG_URL} and the zoning data disagree`, problems);
 }
 
-function fitMapToDataIfGeoJSON() {
-  if (state.zoningMode !== "geojson" || !state.zoningData) return;
-
-  const bounds = new maplibregl.LngLatBounds();
-  state.zoningData.features.forEach((feature) => {
-    const g = feature.geometry;
-    if (!g) return;
-    if (g.type === "Polygon") {
-      g.coordinates[0].forEach((c) => bounds.extend(c));
-    } else if (g.type === "MultiPolygon") {
-      g.coordinates.forEach((poly) => poly[0].forEach((c) => bounds.extend(c)));
-    }
-  });
-  if (!bounds.isEmpty()) state.map.fitBounds(bounds, { padding: 50 });
-}
+// Controls that read zoning attributes; `any`: one of the fields is enough
+const FIELD_DEPENDENCIES = [
+  {
+    selector: '[data-filter="group"]',
+    filters: ["group", "hiddenGroups"],
+    styleModes: ["group"],
+    fields: () => [FIELDS.group],
+  },
+  {
+    selector: '[data-filter="years"]',
+    filters: ["yearMin", "yearMax", "dateField", "includeUndated"],
+    styleModes: ["year", "age"],
+    fields: () => DATE_FIELDS,
+    any: true,
+  },
+  {
+    selector: '[data-filter="area"]',
+    filters: ["areaMin", "areaMax"],
+    styleModes: ["size"],
+    fields: () => [FIELDS.acres],
+  },
+  {
+    selector: '[data-filter="search"]',
+    filters: ["search"],
+    fields: () => SEARCH_FIELDS,
+    any: true,
+  },
+  { styleModes: ["code"], fields: () => [FIELDS.code] },
+  { selector: "#pdBtn", fields: () => [FIELDS.pdName] },
+];
 
-// --- Controls
-function wireUiBasics() {
-  // About modal close (works even before map load)
-  document
-    .getElementById("aboutCloseBtn")
-    .addEventListener("click", closeAboutModal);
-  document.getElementById("aboutBtn")?.addEventListener("click", () => {
-    document.getElementById("aboutModal").style.display = "flex";
-  });
+// Disable filters, style modes and tools whose attributes are missing from
+// the data and drop any values they were given (defaults, a shared link)
+function disableMissingDataControls(present) {
+  const { unavailable } = state;
+  for (const dep of FIELD_DEPENDENCIES) {
+    const missing = dep.fields().filter((name) => !present.has(name));
+    if (!missing.length || (dep.any && missing.length < dep.fields().length))
+      continue;
+    const reason = `Unavailable: the data has no ${missing
+      .map((name) => `"${name}"`)
+      .join(" or ")} attribute`;
+    for (const el of dep.selector
+      ? document.querySelectorAll(dep.selector)
+      : [])
+      disableControl(el, reason);
+    for (const mode of dep.styleModes || []) {
+      disableControl(
+        document.querySelector(`#styleMode option[value="${mode}"]`),
+        reason
+      );
+    }
+    unavailable.filters.push(...(dep.filters || []));
+    unavailable.styleModes.push(...(dep.styleModes || []));
+  }
+  for (const name of DATE_FIELDS.filter((f) => !present.has(f))) {
+    unavailable.dateFields.push(name);
+    const option = document.querySelector(
+      `#dateField option[value="${CSS.escape(name)}"]`
+    );
+    if (option)
+      disableControl(
+        option,
+        `Unavailable: the data has no "${name}" attribute`
+      );
+  }
 
-  // Close modal on backdrop click
-  document.getElementById("aboutModal").addEventListener("click", (e) => {
-    if (e.target.id === "aboutModal") closeAboutModal();
-  });
+  resetUnavailableFilters();
+  if (unavailable.styleModes.includes(state.styleMode))
+    setStyleMode(state.styleMode); // falls back to an available mode
+}
 
-  // ESC closes about & analytics
-  window.addEventListener("keydown", (e) => {
-    if (e.key === "Escape") {
-      closeAboutModal();
-      if (state.analyticsPanel) state.analyticsPanel.style.display = "none";
-      state.analyticsOpen = false;
-      removeAnalyticsBindings();
-    }
-  });
+function resetUnavailableFilters() {
+  for (const key of state.unavailable.filters)
+    state.filters[key] = DEFAULT_FILTERS[key];
+  if (state.unavailable.dateFields.includes(state.filters.dateField))
+    state.filters.dateField = "ANY";
 }
 
-function wireControls() {
-  const groupFilter = document.getElementById("groupFilter");
-  const yearMin = document.getElementById("yearMin");
-  const yearMax = document.getElementById("yearMax");
-  const yearMinValue = document.getElementById("yearMinValue");
-  const yearMaxValue = document.getElementById("yearMaxValue");
-  const areaMin = document.getElementById("areaMin");
-  const areaMax = document.getElementById("areaMax");
-  const areaMinValue = document.getElementById("areaMinValue");
-  const areaMaxValue = document.getElementById("areaMaxValue");
-  const searchInput = document.getElementById("searchInput");
-  const toggleZoning = document.getElementById("toggleZoning");
-  const toggleFLU = document.getElementById("toggleFLU");
-  const exportBtn = document.getElementById("exportBtn");
-  const analyticsBtn = document.getElementById("analyticsBtn");
+// Modal listing config problems; a fatal one can't be dismissed
+function showConfigProblems(title, problems, { fatal = false } = {}) {
+  document.querySelector('[data-panel="config-problems"]')?.remove();
+  const modal = document.createElement("div");
+  modal.className = "modal";
+  modal.style.display = "flex";
+  modal.setAttribute("data-panel", "config-problems");
+  modal.innerHTML = `
+    <div class="modal-content" role="alertdialog" aria-modal="true" aria-labelledby="configProblemsTitle">
+      <div class="modal-header">
+        <h3 id="configProblemsTitle">⚠️ ${escapeHtml(title)}</h3>
+        ${
+          fatal
+            ? ""
+            : `<button class="close-btn" data-action="close" aria-label="Close">×</button>`
+        }
+      </div>
+      <div class="modal-body">
+        <ul>${problems.map((p) => `<li>${escapeHtml(p)}</li>`).join("")}</ul>
+        <p>${
+          fatal
+            ? `Fix ${CONFIG_URL} and reload the page.`
+            : "Filters, analytics and exports that use these attributes will not work until the config matches the data."
+        }</p>
+      </div>
+    </div>`;
+  modal
+    .querySelector('[data-action="close"]')
+    ?.addEventListener("click", () => modal.remove());
+  document.body.appendChild(modal);
+}
 
-  groupFilter.addEventListener("change", () => {
-    state.filters.group = groupFilter.value;
-    applyAllFiltersDebounced();
-  });
+// "pmtiles://" URL for a dataset path (relative to the page or absolute)
+function pmtilesUrl(path) {
+  return `pmtiles://${new URL(path, window.location.href).href}`;
+}
 
-  yearMin.addEventListener("input", () => {
-    state.filters.yearMin = Number(yearMin.value);
-    yearMinValue.textContent = yearMin.value;
-    applyAllFiltersDebounced();
-  });
+// --- Offline support
+// service_worker.js caches the shell, libraries and data, and reports when
+// it answers from the cache; the browser reports losing the network.
+function initOfflineSupport() {
+  window.addEventListener("offline", () => setOfflineIndicator(true));
+  window.addEventListener("online", () => setOfflineIndicator(false));
+  if (!navigator.onLine) setOfflineIndicator(true);
 
-  yearMax.addEventListener("input", () => {
-    state.filters.yearMax = Number(yearMax.value);
-    yearMaxValue.textContent = yearMax.value;
-    applyAllFiltersDebounced();
+  if (!("serviceWorker" in navigator)) return;
+  navigator.serviceWorker.addEventListener("message", (e) => {
+    if (e.data?.type === "offline")
+      setOfflineIndicator(e.data.offline || !navigator.onLine);
   });
+  navigator.serviceWorker
+    .register("service_worker.js")
+    .catch((err) => console.warn("Offline mode unavailable:", err));
+  // This page's own requests may have been answered from the cache before
+  // it could hear about it (and the worker only announces changes): ask
+  navigator.serviceWorker.ready.then((registration) =>
+    registration.active?.postMessage({ type: "status" })
+  );
+}
 
-  areaMin.addEventListener("input", () => {
-    state.filters.areaMin = Number(areaMin.value);
-    areaMinValue.textContent = areaMin.value;
-    applyAllFiltersDebounced();
-  });
+function setOfflineIndicator(offline) {
+  document.getElementById("offlineIndicator").hidden = !offline;
+}
 
-  areaMax.addEventListener("input", () => {
-    state.filters.areaMax = Number(areaMax.value);
-    areaMaxValue.textContent = areaMax.value;
-    applyAllFiltersDebounced();
-  });
+// --- Basemaps
+// The basemap's source is "basemap" and its layers are "basemap-*", always
+// kept beneath the data layers. The choice and the per-basemap opacity and
+// saturation are remembered in localStorage.
+const BASEMAP_SOURCE = "basemap";
+const BASEMAP_COLOR_PROPS = {
+  background: ["background-color"],
+  fill: ["fill-color"],
+  line: ["line-color"],
+  symbol: ["text-color", "text-halo-color"],
+};
+const BASEMAP_OPACITY_PROPS = {
+  raster: "raster-opacity",
+  background: "background-opacity",
+  fill: "fill-opacity",
+  line: "line-opacity",
+  symbol: "text-opacity",
+};
 
-  let searchTimeout;
-  searchInput.addEventListener("input", (e) => {
-    clearTimeout(searchTimeout);
-    searchTimeout = setTimeout(() => {
-      state.filters.search = e.target.value.trim();
-      applyAllFiltersDebounced();
-    }, 250);
-  });
+async function initBasemap() {
+  const stored = storedBasemap();
+  state.basemap.adjustments = stored.adjustments;
+  state.basemap.localAvailable = await checkLocalBasemap();
+  const id =
+    stored.id === "local" && !state.basemap.localAvailable
+      ? "streets"
+      : stored.id;
+  setBasemap(id);
+  syncBasemapControls();
+}
 
-  toggleZoning.addEventListener("change", () => {
-    state.filters.showZoning = toggleZoning.checked;
-    const v = state.filters.showZoning ? "visible" : "none";
-    state.map.setLayoutProperty("zoning-fill", "visibility", v);
-    state.map.setLayoutProperty("zoning-border", "visibility", v);
-    // analytics still updates (in case zoning hidden)
-    updateAnalyticsDebounced();
-  });
+async function checkLocalBasemap() {
+  try {
+    const response = await fetch(BASEMAPS.local.file, { method: "HEAD" });
+    return response.ok;
+  } catch {
+    return false;
+  }
+}
 
-  toggleFLU.addEventListener("change", () => {
-    state.filters.showFLU = toggleFLU.checked;
-    const v = state.filters.showFLU ? "visible" : "none";
-    state.map.setLayoutProperty("flu-fill", "visibility", v);
-  });
+function setBasemap(id) {
+  const map = state.map;
+  for (const layer of basemapLayers(state.basemap.id)) {
+    if (map.getLayer(layer.id)) map.removeLayer(layer.id);
+  }
+  if (map.getSource(BASEMAP_SOURCE)) map.removeSource(BASEMAP_SOURCE);
 
-  exportBtn.addEventListener("click", exportFilteredData);
-  analyticsBtn.addEventListener("click", toggleAnalyticsPanel);
+  state.basemap.id = id;
+  map.addSource(BASEMAP_SOURCE, basemapSource(BASEMAPS[id]));
+  // beneath the lowest data layer, whatever has been added so far
+  const beforeId = map
+    .getStyle()
+    .layers.find((l) => !l.id.startsWith("basemap-"))?.id;
+  for (const layer of basemapLayers(id)) map.addLayer(layer, beforeId);
+  storeBasemap();
 }
 
-// --- Filters (true layer filters)
+function basemapSource(def) {
+  if (def.type === "vector")
+    return {
+      type: "vector",
+      url: pmtilesUrl(def.file),
+      attribution: def.attribution,
+    };
+  return {
+    type: "raster",
+    tiles: def.tiles,
+    tileSize: 256,
+    maxzoom: def.maxzoom,
+    attribution: def.attribution,
+  };
+}
+
+// Layer specs for a basemap, painted with the current adjustments
+function basemapLayers(id) {
+  const def = BASEMAPS[id];
+  const layers =
+    def.type === "raster"
+      ? [
+          {
+            id: "basemap-raster",
+            type: "raster",
+            paint: { "raster-contrast": def.contrast ?? 0 },
+          },
+        ]
+      : def.layers;
+  const settings = basemapSettings(id);
+  return layers.map((layer) => ({
+    ...layer,
+    ...(layer.type === "background" ? {} : { source: BASEMAP_SOURCE }),
+    paint: basemapPaint(layer, settings),
+  }));
+}
+
+function basemapPaint(layer, { opacity, saturation }) {
+  const paint = { ...layer.paint };
+  if (layer.type === "raster") {
+    paint["raster-opacity"] = opacity;
+    paint["raster-saturation"] = saturation;
+    return paint;
+  }
+  // vector layers have no saturation property: adjust their colors instead
+  for (const prop of BASEMAP_COLOR_PROPS[layer.type]) {
+    if (prop in paint) paint[prop] = saturateColor(paint[prop], saturation);
+  }
+  const opacityProp = BASEMAP_OPACITY_PROPS[layer.type];
+  paint[opacityProp] = (layer.paint[opacityProp] ?? 1) * opacity;
+  return paint;
+}
+
+// "#rrggbb" pushed away from (saturation > 0) or towards (< 0) its gray
+function saturateColor(hex, saturation) {
+  const rgb = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  const gray = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+  return `#${rgb
+    .map((c) => {
+      const v = Math.round(gray + (c - gray) * (1 + saturation));
+      return Math.min(Math.max(v, 0), 255).toString(16).padStart(2, "0");
+    })
+    .join("")}`;
+}
+
+function basemapSettings(id) {
+  const def = BASEMAPS[id];
+  return {
+    opacity: def.opacity,
+    saturation: def.saturation,
+    ...state.basemap.adjustments[id],
+  };
+}
+
+// key: 'opacity' | 'saturation'
+function adjustBasemap(key, value) {
+  const id = state.basemap.id;
+  state.basemap.adjustments[id] = { ...basemapSettings(id), [key]: value };
+  for (const layer of basemapLayers(id)) {
+    const props = [
+      BASEMAP_OPACITY_PROPS[layer.type],
+      ...(layer.type === "raster"
+        ? ["raster-saturation"]
+        : BASEMAP_COLOR_PROPS[layer.type]),
+    ];
+    for (const prop of props) {
+      if (prop in layer.paint)
+        state.map.setPaintProperty(layer.id, prop, layer.paint[prop]);
+    }
+  }
+  storeBasemap();
+}
+
+function resetBasemapAdjustments() {
+  delete state.basemap.adjustments[state.basemap.id];
+  setBasemap(state.basemap.id);
+  syncBasemapControls();
+}
+
+function wireBasemapControls() {
+  const select = document.getElementById("basemapSelect");
+  const opacity = document.getElementById("basemapOpacity");
+  const saturation = document.getElementById("basemapSaturation");
+
+  select.addEventListener("change", () => {
+    setBasemap(select.value);
+    syncBasemapControls();
+  });
+  opacity.addEventListener("input", () => {
+    adjustBasemap("opacity", Number(opacity.value) / 100);
+    syncBasemapControls();
+  });
+  saturation.addEventListener("input", () => {
+    adjustBasemap("saturation", Number(saturation.value) / 100);
+    syncBasemapControls();
+  });
+  document
+    .getElementById("basemapReset")
+    .addEventListener("click", resetBasemapAdjustments);
+  syncBasemapControls();
+}
+
+function syncBasemapControls() {
+  const select = document.getElementById("basemapSelect");
+  select.innerHTML = Object.entries(BASEMAPS)
+    .map(([key, def]) => {
+      const missing = key === "local" && !state.basemap.localAvailable;
+      return `<option value="${key}"${missing ? " disabled" : ""}>${def.label}${
+        missing ? " (not installed)" : ""
+      }</option>`;
+    })
+    .join("");
+  select.value = state.basemap.id;
+
+  const { opacity, saturation } = basemapSettings(state.basemap.id);
+  document.getElementById("basemapOpacity").value = Math.round(opacity * 100);
+  document.getElementById("basemapOpacityValue").textContent = `${Math.round(
+    opacity * 100
+  )}%`;
+  document.getElementById("basemapSaturation").value = Math.round(
+    saturation * 100
+  );
+  document.getElementById("basemapSaturationValue").textContent = Math.round(
+    saturation * 100
+  );
+}
+
+function storeBasemap() {
+  try {
+    localStorage.setItem(
+      BASEMAP_STORAGE_KEY,
+      JSON.stringify({
+        id: state.basemap.id,
+        adjustments: state.basemap.adjustments,
+      })
+    );
+  } catch (err) {
+    // storage disabled: the choice lasts for this session
+  }
+}
+
+function storedBasemap() {
+  const out = { id: "streets", adjustments: {} };
+  try {
+    const stored = JSON.parse(localStorage.getItem(BASEMAP_STORAGE_KEY));
+    if (Object.hasOwn(BASEMAPS, stored?.id ?? "")) out.id = stored.id;
+    for (const [id, a] of Object.entries(stored?.adjustments || {})) {
+      if (
+        Object.hasOwn(BASEMAPS, id) &&
+        a.opacity >= 0 &&
+        a.opacity <= 1 &&
+        a.saturation >= -1 &&
+        a.saturation <= 1
+      )
+        out.adjustments[id] = { opacity: a.opacity, saturation: a.saturation };
+    }
+  } catch (err) {
+    // missing or malformed: defaults
+  }
+  return out;
+}
+
+// --- Data loading
+// Each dataset loads on its own, so one that fails costs only its layer: the
+// toggle is disabled with the reason and the rest of the app keeps working.
+// Downloads report per-dataset progress; network errors, timeouts, rate
+// limits and 5xx answers are retried with backoff, other 4xx are final.
+const DATASET_LABELS = { zoning: "Zone Districts", flu: "Future Land Use" };
+const LOAD_RETRIES = 3; // after the first attempt
+const RETRY_BASE_MS = 1000; // doubled per attempt, ±25% jitter
+
+async function loadData() {
+  const names = ["zoning", "flu"];
+  const progress = createLoadProgress(names);
+  state.zoningMode = await chooseDataMode(progress.row("zoning"));
+  const load =
+    state.zoningMode === "vector" ? loadVectorDataset : loadGeoJSONDataset;
+  const results = await Promise.allSettled(
+    names.map((name) => load(name, progress.row(name)))
+  );
+
+  results.forEach((result, i) => {
+    const name = names[i];
+    if (result.status === "fulfilled") {
+      progress.row(name).done(result.value);
+    } else {
+      console.error(result.reason);
+      progress.row(name).fail(result.reason.message);
+      markDatasetUnavailable(name, result.reason.message);
+    }
+  });
+  const failed = names.filter((name) => state.datasetErrors[name]);
+  progress.close(failed.length ? 6000 : 800);
+  if (failed.length) {
+    showNotification(
+      `Could not load ${failed
+        .map((name) => DATASET_LABELS[name])
+        .join(" or ")}; see the note under the layer toggles`,
+      "error"
+    );
+  }
+
+  wireLayerInteractions();
+  fitMapToDataIfGeoJSON();
+}
+
+// PMTiles when the zoning archive is deployed. A 4xx (usually 404) picks the
+// GeoJSON fallback at once; an unreachable server is retried first, then the
+// fallback is tried anyway (the service worker may have it cached).
+async function chooseDataMode(row) {
+  row.update(null, "Looking for tiles…");
+  try {
+    await fetchWithRetry(
+      DATASETS.zoning.pmtiles,
+      { method: "HEAD" },
+      { onRetry: row.retrying }
+    );
+    return "vector";
+  } catch (err) {
+    if (!err.permanent)
+      console.warn(
+        `${DATASETS.zoning.pmtiles} unreachable, trying GeoJSON`,
+        err
+      );
+    return "geojson";
+  }
+}
+
+// The archive's metadata must list the configured layer before the map
+// requests any tiles from it
+async function loadVectorDataset(name, row) {
+  const { pmtiles: path, sourceLayer } = DATASETS[name];
+  row.update(null, "Reading tile archive…");
+  await fetchWithRetry(path, { method: "HEAD" }, { onRetry: row.retrying });
+  const metadata = await withRetry(
+    // a fresh archive per attempt: a failed header read stays cached
+    () => new pmtiles.PMTiles(path).getMetadata(),
+    { onRetry: row.retrying }
+  );
+  const layers = (metadata?.vector_layers || []).map((l) => l.id);
+  if (!layers.includes(sourceLayer)) {
+    throw permanentError(
+      `${path} has no "${sourceLayer}" layer (it has: ${
+        layers.join(", ") || "none"
+      })`
+    );
+  }
+  addDatasetLayers(
+    name,
+    { type: "vector", url: pmtilesUrl(path) },
+    sourceLayer
+  );
+  return "Tiles ready";
+}
+
+// Downloaded once as raw bytes: the data worker parses, checks and indexes
+// them for filtering, search and analytics, then MapLibre parses them in its
+// own worker (through a blob URL). Nothing is parsed on the main thread.
+async function loadGeoJSONDataset(name, row) {
+  const blob = await downloadWithProgress(DATASETS[name].geojson, row);
+  row.update(null, "Indexing…");
+  const info = await workerRequest("load", {
+    name,
+    blob,
+    idField: name === "zoning" ? FIELDS.id : undefined,
+    dateFields: name === "zoning" ? DATE_FIELDS : undefined,
+  });
+  if (name === "zoning") state.geojsonExtent = info.bbox;
+  // the worker's copy when it converted date strings
+  addDatasetLayers(name, {
+    type: "geojson",
+    data: URL.createObjectURL(info.blob || blob),
+  });
+  return `${info.count.toLocaleString()} features`;
+}
+
+// Fill + border for zoning, the overlay (and the analysis layer for vector
+// tiles) for FLU; `sourceLayer` only for vector sources
+function addDatasetLayers(name, source, sourceLayer) {
+  state.map.addSource(
+    name,
+    name === "zoning" ? { ...source, promoteId: FIELDS.id } : source
+  );
+  const addLayer = (spec, beforeId) =>
+    state.map.addLayer(
+      {
+        ...spec,
+        source: name,
+        ...(sourceLayer && { "source-layer": sourceLayer }),
+      },
+      beforeId
+    );
+
+  if (name === "zoning") {
+    // FLU may have finished first; its translucent overlay stays on top
+    const beforeId = state.map.getLayer("flu-fill") ? "flu-fill" : undefined;
+    addLayer(
+      {
+        id: "zoning-fill",
+        type: "fill",
+        paint: {
+          "fill-color": zoningFillColor(),
+          "fill-opacity": 0.8,
+        },
+      },
+      beforeId
+    );
+    addLayer(
+      {
+        id: "zoning-border",
+        type: "line",
+        paint: {
+          // districts picked for the analytics selection stand out
+          "line-color": [
+            "case",
+            ["boolean", ["feature-state", "picked"], false],
+            "#ff9f1c",
+            "#000000",
+          ],
+          "line-width": [
+            "case",
+            ["boolean", ["feature-state", "picked"], false],
+            3,
+            1,
+          ],
+          "line-opacity": 0.5,
+        },
+      },
+      beforeId
+    );
+    return;
+  }
+
+  addLayer({
+    id: "flu-fill",
+    type: "fill",
+    paint: { "fill-color": "#00e0c7", "fill-opacity": 0.15 },
+    layout: { visibility: "none" },
+  });
+  // Invisible layer that keeps FLU tiles loaded for the consistency analysis
+  // while the FLU overlay itself is switched off
+  if (sourceLayer) {
+    addLayer({
+      id: "flu-analysis",
+      type: "line",
+      paint: { "line-opacity": 0 },
+      layout: { visibility: "none" },
+    });
+  }
+}
+
+// The whole file as a Blob, reporting bytes received; a dropped connection
+// restarts the download
+function downloadWithProgress(url, row) {
+  return withRetry(
+    async () => {
+      row.update(0, "Downloading…");
+      const response = await fetch(url);
+      if (!response.ok) throw httpError(url, response);
+      // a compressed response's Content-Length doesn't count decoded bytes
+      const total = response.headers.get("Content-Encoding")
+        ? 0
+        : Number(response.headers.get("Content-Length")) || 0;
+      if (!response.body) return response.blob();
+
+      const reader = response.body.getReader();
+      const chunks = [];
+      let loaded = 0;
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        row.update(
+          total ? loaded / total : null,
+          total
+            ? `${formatMegabytes(loaded)} of ${formatMegabytes(total)}`
+            : formatMegabytes(loaded)
+        );
+      }
+      return new Blob(chunks, { type: "application/geo+json" });
+    },
+    { onRetry: row.retrying }
+  );
+}
+
+function fetchWithRetry(url, init, options) {
+  return withRetry(async () => {
+    const response = await fetch(url, init);
+    if (!response.ok) throw httpError(url, response);
+    return response;
+  }, options);
+}
+
+// Runs `task` until it resolves, waiting longer after each failure; errors
+// marked `permanent` and the last failure are rethrown.
+// onRetry(attempt, delayMs, err) runs before each wait.
+async function withRetry(task, { onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (err) {
+      if (err.permanent || attempt > LOAD_RETRIES) throw err;
+      const delay =
+        RETRY_BASE_MS * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+      onRetry?.(attempt, delay, err);
+      await new Promise((r) => setTimeout(r, delay));
+    }
+  }
+}
+
+function httpError(url, response) {
+  const { status } = response;
+  const err = new Error(`${url}: HTTP ${status} ${response.statusText}`.trim());
+  err.status = status;
+  // asking again won't change a 404 or 403; timeouts and rate limits might
+  err.permanent = status < 500 && status !== 408 && status !== 429;
+  return err;
+}
+
+function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+function formatMegabytes(bytes) {
+  return `${(bytes / 1048576).toFixed(1)} MB`;
+}
+
+// Disable what needs a dataset that failed to load and say why under the
+// layer toggles
+function markDatasetUnavailable(name, message) {
+  state.datasetErrors[name] = message;
+  const reason = `${DATASET_LABELS[name]} could not be loaded (${message})`;
+  const ids =
+    name === "zoning"
+      ? [
+          "toggleZoning",
+          "toggleConsistency",
+          "exportBtn",
+          "analyticsBtn",
+          "pdBtn",
+        ]
+      : ["toggleFLU", "toggleConsistency"];
+  for (const id of ids) disableControl(document.getElementById(id), reason);
+  state.consistency.enabled = false; // needs both layers
+
+  const status = document.getElementById("datasetStatus");
+  status.hidden = false;
+  status.insertAdjacentHTML(
+    "beforeend",
+    `<p>⚠️ ${escapeHtml(reason)}. Reload the page to try again.</p>`
+  );
+}
+
+// Disable a control (or every control inside a container) with a tooltip
+// giving the reason; a checkbox's label carries the tooltip
+function disableControl(el, reason) {
+  const controls = el.matches("input, select, button, option")
+    ? [el]
+    : el.querySelectorAll("input, select, button");
+  for (const control of controls) control.disabled = true;
+  const target = (el.matches("input") && el.closest("label")) || el;
+  target.title = reason;
+  target.classList.add("unavailable");
+}
+
+// Bottom-center panel with a progress row per dataset:
+// row(name).update(fraction | null, text), .retrying(attempt, delayMs, err),
+// .done(text), .fail(text); close(afterMs)
+function createLoadProgress(names) {
+  const el = document.createElement("div");
+  el.setAttribute("role", "status");
+  el.style.cssText = `
+    position:fixed; bottom:24px; left:50%; transform:translateX(-50%);
+    background: rgba(22, 26, 46, 0.95); color:#e9edf5; border:1px solid #2a3152;
+    border-radius:8px; padding:12px 16px; font-size:13px; z-index:3000;
+    box-shadow:0 4px 12px rgba(0,0,0,0.3); width:min(360px, 90vw);
+  `;
+  el.innerHTML = names
+    .map(
+      (name) => `
+    <div data-dataset="${name}" style="margin-bottom:8px;">
+      <div style="display:flex;justify-content:space-between;gap:8px;margin-bottom:4px;">
+        <span>${escapeHtml(DATASET_LABELS[name])}</span>
+        <small data-text style="color:#9aa3b2;">Waiting…</small>
+      </div>
+      <div style="height:6px;background:#2a3152;border-radius:3px;overflow:hidden;">
+        <div data-bar style="height:100%;width:0;background:#6aa6ff;transition:width 0.2s;"></div>
+      </div>
+    </div>`
+    )
+    .join("");
+  document.body.appendChild(el);
+
+  const rows = new Map(
+    names.map((name) => {
+      const row = el.querySelector(`[data-dataset="${name}"]`);
+      const bar = row.querySelector("[data-bar]");
+      const text = row.querySelector("[data-text]");
+      const set = (fraction, message, color = "#6aa6ff") => {
+        // unknown size: a full, dimmed bar
+        bar.style.width = `${Math.round(
+          Math.min(Math.max(fraction ?? 1, 0), 1) * 100
+        )}%`;
+        bar.style.opacity = fraction == null ? "0.4" : "1";
+        bar.style.background = color;
+        text.textContent = message;
+      };
+      return [
+        name,
+        {
+          update: (fraction, message) => set(fraction, message),
+          retrying: (attempt, delay) =>
+            set(
+              null,
+              `Retrying in ${Math.ceil(
+                delay / 1000
+              )} s (${attempt}/${LOAD_RETRIES})…`,
+              "#ffd86e"
+            ),
+          done: (message) => set(1, message || "Loaded", "#4cc38a"),
+          fail: (message) => {
+            set(1, "Failed", "#ff6b6b");
+            text.title = message;
+          },
+        },
+      ];
+    })
+  );
+
+  return {
+    row: (name) => rows.get(name),
+    close(afterMs = 0) {
+      setTimeout(() => el.remove(), afterMs);
+    },
+  };
+}
+
+// Click + hover for zoning and FLU (same for vector and GeoJSON sources)
+function wireLayerInteractions() {
+  state.map.on("click", (e) => {
+    if (state.draw.mode) return; // clicks place vertices while drawing
+    if (e.originalEvent.shiftKey) togglePickedAtPoint(e.point);
+    else selectAtPoint(e.point, e.lngLat.toArray());
+  });
+  // a dataset that failed to load has no layer
+  for (const layerId of ["zoning-fill", "flu-fill"].filter((id) =>
+    state.map.getLayer(id)
+  )) {
+    state.map.on(
+      "mouseenter",
+      layerId,
+      () => (state.map.getCanvas().style.cursor = "pointer")
+    );
+    state.map.on(
+      "mouseleave",
+      layerId,
+      () => (state.map.getCanvas().style.cursor = "")
+    );
+  }
+}
+
+function fitMapToDataIfGeoJSON() {
+  if (state.zoningMode !== "geojson" || !state.geojsonExtent) return;
+  if (state.initialHash?.camera) return; // a shared link wins over auto-fit
+  state.map.fitBounds(state.geojsonExtent, { padding: 50 });
+}
+
+// --- Data worker (GeoJSON fallback)
+// Promise wrapper around geojson_worker.js. A request made on a `channel`
+// supersedes the previous one on that channel: the worker stops it and its
+// promise resolves to null.
+function getDataWorker() {
+  if (state.dataWorker) return state.dataWorker;
+  const client = {
+    worker: new Worker("geojson_worker.js"),
+    pending: new Map(), // id -> { resolve, reject, onProgress }
+    channels: new Map(), // channel -> id
+    nextId: 1,
+  };
+  client.worker.onmessage = (e) => {
+    const { id, type } = e.data;
+    const request = client.pending.get(id);
+    if (!request) return; // superseded
+    if (type === "progress") {
+      request.onProgress?.(e.data.progress);
+      return;
+    }
+    client.pending.delete(id);
+    if (type === "result") request.resolve(e.data.result);
+    else request.reject(new Error(e.data.message));
+  };
+  client.worker.onerror = (e) => {
+    for (const request of client.pending.values())
+      request.reject(new Error(e.message || "Data worker failed"));
+    client.pending.clear();
+  };
+  // field mapping from config.json; the reply (id 0) matches no request
+  client.worker.postMessage({ id: 0, type: "configure", fields: FIELDS });
+  state.dataWorker = client;
+  return client;
+}
+
+function workerRequest(type, payload, { onProgress, channel } = {}) {
+  const client = getDataWorker();
+  const id = client.nextId++;
+  if (channel) {
+    cancelWorkerRequest(client.channels.get(channel));
+    client.channels.set(channel, id);
+  }
+  return new Promise((resolve, reject) => {
+    client.pending.set(id, { resolve, reject, onProgress });
+    client.worker.postMessage({ id, type, ...payload });
+  }).finally(() => {
+    if (channel && client.channels.get(channel) === id)
+      client.channels.delete(channel);
+  });
+}
+
+function cancelWorkerRequest(id) {
+  const client = state.dataWorker;
+  const request = client?.pending.get(id);
+  if (!request) return;
+  client.pending.delete(id);
+  client.worker.postMessage({ type: "cancel", target: id });
+  request.resolve(null);
+}
+
+// Current view as [w, s, e, n]
+function viewBbox() {
+  const b = state.map.getBounds();
+  return [b.getWest(), b.getSouth(), b.getEast(), b.getNorth()];
+}
+
+// --- Controls
+function wireUiBasics() {
+  // About modal close (works even before map load)
+  document
+    .getElementById("aboutCloseBtn")
+    .addEventListener("click", closeAboutModal);
+  document.getElementById("aboutBtn")?.addEventListener("click", () => {
+    document.getElementById("aboutModal").style.display = "flex";
+  });
+
+  // Close modal on backdrop click
+  document.getElementById("aboutModal").addEventListener("click", (e) => {
+    if (e.target.id === "aboutModal") closeAboutModal();
+  });
+
+  // ESC closes about & analytics
+  window.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      closeAboutModal();
+      if (state.draw.mode) stopDrawing();
+      if (state.analyticsPanel) state.analyticsPanel.style.display = "none";
+      state.analyticsOpen = false;
+      removeAnalyticsBindings();
+    }
+  });
+}
+
+function wireControls() {
+  const groupFilter = document.getElementById("groupFilter");
+  const yearMin = document.getElementById("yearMin");
+  const yearMax = document.getElementById("yearMax");
+  const yearMinValue = document.getElementById("yearMinValue");
+  const yearMaxValue = document.getElementById("yearMaxValue");
+  const dateField = document.getElementById("dateField");
+  const includeUndated = document.getElementById("includeUndated");
+  const areaMin = document.getElementById("areaMin");
+  const areaMax = document.getElementById("areaMax");
+  const areaMinValue = document.getElementById("areaMinValue");
+  const areaMaxValue = document.getElementById("areaMaxValue");
+  const searchInput = document.getElementById("searchInput");
+  const toggleZoning = document.getElementById("toggleZoning");
+  const toggleFLU = document.getElementById("toggleFLU");
+  const toggleConsistency = document.getElementById("toggleConsistency");
+  const styleMode = document.getElementById("styleMode");
+  const paletteSelect = document.getElementById("paletteSelect");
+  const exportBtn = document.getElementById("exportBtn");
+  const analyticsBtn = document.getElementById("analyticsBtn");
+  const pdBtn = document.getElementById("pdBtn");
+
+  groupFilter.addEventListener("change", () => {
+    state.filters.group = groupFilter.value;
+    adoptChartFilter("group");
+    applyAllFiltersDebounced();
+  });
+
+  yearMin.addEventListener("input", () => {
+    state.filters.yearMin = Number(yearMin.value);
+    yearMinValue.textContent = yearMin.value;
+    adoptChartFilter("years");
+    applyAllFiltersDebounced();
+  });
+
+  yearMax.addEventListener("input", () => {
+    state.filters.yearMax = Number(yearMax.value);
+    yearMaxValue.textContent = yearMax.value;
+    adoptChartFilter("years");
+    applyAllFiltersDebounced();
+  });
+
+  dateField.addEventListener("change", () => {
+    state.filters.dateField = dateField.value;
+    if (state.styleMode === "year" || state.styleMode === "age")
+      applyZoningStyle();
+    applyAllFiltersDebounced();
+  });
+
+  includeUndated.addEventListener("change", () => {
+    state.filters.includeUndated = includeUndated.checked;
+    applyAllFiltersDebounced();
+  });
+
+  areaMin.addEventListener("input", () => {
+    state.filters.areaMin = Number(areaMin.value);
+    areaMinValue.textContent = areaMin.value;
+    applyAllFiltersDebounced();
+  });
+
+  areaMax.addEventListener("input", () => {
+    state.filters.areaMax = Number(areaMax.value);
+    areaMaxValue.textContent = areaMax.value;
+    applyAllFiltersDebounced();
+  });
+
+  let searchTimeout;
+  searchInput.addEventListener("input", (e) => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      state.filters.search = e.target.value.trim();
+      applyAllFiltersDebounced();
+    }, 250);
+  });
+
+  toggleZoning.addEventListener("change", () => {
+    state.filters.showZoning = toggleZoning.checked;
+    applyLayerVisibility();
+    // analytics still updates (in case zoning hidden)
+    updateAnalyticsDebounced();
+    updateLegendCountsDebounced();
+    updatePermalinkDebounced();
+  });
+
+  toggleFLU.addEventListener("change", () => {
+    state.filters.showFLU = toggleFLU.checked;
+    applyLayerVisibility();
+    updatePermalinkDebounced();
+  });
+
+  toggleConsistency.addEventListener("change", () => {
+    setConsistencyEnabled(toggleConsistency.checked);
+    updatePermalinkDebounced();
+  });
+  state.map.on("moveend", () => {
+    if (state.consistency.enabled) runConsistencyDebounced();
+  });
+
+  styleMode.addEventListener("change", () => {
+    setStyleMode(styleMode.value);
+    updatePermalinkDebounced();
+  });
+  state.map.on("moveend", updateLegendCountsDebounced);
+  paletteSelect.innerHTML = Object.entries(PALETTES)
+    .map(([key, p]) => `<option value="${key}">${p.label}</option>`)
+    .join("");
+  paletteSelect.value = state.palette;
+  paletteSelect.addEventListener("change", () =>
+    applyPalette(paletteSelect.value)
+  );
+
+  exportBtn.addEventListener("click", exportFilteredData);
+  analyticsBtn.addEventListener("click", toggleAnalyticsPanel);
+  pdBtn.addEventListener("click", () => {
+    if (document.querySelector('[data-panel="pd-explorer"]')) closePdExplorer();
+    else openPdExplorer();
+  });
+
+  // chips for chart-driven filters (sidebar and analytics panel)
+  document.addEventListener("click", (e) => {
+    const chip = e.target.closest(".chart-filter-chip");
+    if (chip) clearChartFilter(chip.dataset.kind);
+    else if (e.target.closest(".chart-filter-clear")) clearChartFilters();
+  });
+
+  // "Show whole PD" in the selection panel
+  document.addEventListener("click", (e) => {
+    const link = e.target.closest("[data-open-pd]");
+    if (link) openPdExplorer(link.dataset.openPd);
+  });
+
+  wireQueryBuilder();
+  wireSavedViews();
+  wireBasemapControls();
+
+  // state may have come from a shared link
+  syncControlsFromState();
+  renderChartFilterBars();
+  applyLayerVisibility();
+  if (state.consistency.enabled) setConsistencyEnabled(true);
+  updateLegendCountsDebounced();
+}
+
+// Push state.filters into the sidebar controls (after URL restore etc.)
+function syncControlsFromState() {
+  const f = state.filters;
+  document.getElementById("groupFilter").value = f.group;
+  for (const id of ["yearMin", "yearMax", "areaMin", "areaMax"]) {
+    document.getElementById(id).value = f[id];
+    document.getElementById(`${id}Value`).textContent = f[id];
+  }
+  document.getElementById("dateField").value = f.dateField;
+  document.getElementById("includeUndated").checked = f.includeUndated;
+  document.getElementById("searchInput").value = f.search;
+  document.getElementById("toggleZoning").checked =
+    f.showZoning && !state.datasetErrors.zoning;
+  document.getElementById("toggleFLU").checked =
+    f.showFLU && !state.datasetErrors.flu;
+  document.getElementById("toggleConsistency").checked =
+    state.consistency.enabled;
+  document.getElementById("styleMode").value = state.styleMode;
+}
+
+function applyLayerVisibility() {
+  const zoning = state.filters.showZoning ? "visible" : "none";
+  const flu = state.filters.showFLU ? "visible" : "none";
+  for (const id of ["zoning-fill", "zoning-border"]) {
+    if (state.map.getLayer(id))
+      state.map.setLayoutProperty(id, "visibility", zoning);
+  }
+  if (state.map.getLayer("flu-fill"))
+    state.map.setLayoutProperty("flu-fill", "visibility", flu);
+}
+
+// --- Filters (true layer filters)
 function applyAllFilters() {
   updateLayerFilters();
   updateAnalyticsDebounced();
+  updateLegendCountsDebounced();
+  updatePermalinkDebounced();
+}
+
+const applyAllFiltersDebounced = debounce(applyAllFilters, 100);
+const updateAnalyticsDebounced = debounce(updateAnalyticsFromMapView, 120);
+const updatePermalinkDebounced = debounce(updatePermalink, 300);
+const updateLegendCountsDebounced = debounce(updateLegendCounts, 300);
+
+// --- Filter engine
+// The sidebar filters are defined once, as a MapLibre expression. The map
+// uses it as the layer filter; compileFilter() (filter_engine.js, shared with
+// the data worker) turns the same expression into a predicate for features
+// that never reach a layer (exports, drawn areas, worker queries), so every
+// path selects the same districts.
+// config: searchFields
+const SEARCH_FIELDS = [
+  FIELDS.code,
+  FIELDS.group,
+  FIELDS.pdName,
+  FIELDS.previousCode,
+];
+
+function buildFilterExpression(filters = state.filters) {
+  return [
+    "all",
+    groupFilterExpression(filters),
+    hiddenGroupsFilterExpression(filters),
+    areaFilterExpression(filters),
+    searchFilterExpression(filters),
+    queryFilterExpression(filters),
+    zoningCodeFilterExpression(filters),
+    transitionFilterExpression(filters),
+    dateFilterExpression(filters),
+  ];
+}
+
+function updateLayerFilters() {
+  const expr = buildFilterExpression();
+  // Apply to both fill + border
+  safeSetFilter("zoning-fill", expr);
+  safeSetFilter("zoning-border", expr);
+}
+
+// (properties) => boolean for the current (or given) filters
+function filterPredicate(filters = state.filters) {
+  return compileFilter(buildFilterExpression(filters));
+}
+
+function groupFilterExpression(filters) {
+  return filters.group === "ALL"
+    ? true
+    : ["==", ["get", FIELDS.group], filters.group];
+}
+
+// Legend toggles; "Other" stands for every z_group outside the named ones
+function hiddenGroupsFilterExpression(filters) {
+  const hidden = filters.hiddenGroups;
+  if (!hidden.length) return true;
+  const named = Object.keys(colors).filter((g) => g !== "Other");
+  const group = ["get", FIELDS.group];
+  return [
+    "all",
+    ...hidden.map((g) =>
+      g === "Other" ? ["in", group, ["literal", named]] : ["!=", group, g]
+    ),
+  ];
+}
+
+// Area (acres)
+function areaFilterExpression(filters) {
+  const acres = ["to-number", ["coalesce", ["get", FIELDS.acres], 0]];
+  return [
+    "all",
+    [">=", acres, filters.areaMin],
+    ["<=", acres, filters.areaMax],
+  ];
+}
+
+// Search across fields (substring)
+function searchFilterExpression(filters) {
+  const term = (filters.search || "").toLowerCase();
+  if (!term) return true;
+  return [
+    "any",
+    ...SEARCH_FIELDS.map((f) => [
+      "all",
+      ["has", f],
+      ["!=", ["index-of", term, ["downcase", ["to-string", ["get", f]]]], -1],
+    ]),
+  ];
+}
+
+function zoningCodeFilterExpression(filters) {
+  return filters.zoningCode
+    ? ["==", ["to-string", ["get", FIELDS.code]], filters.zoningCode]
+    : true;
+}
+
+// Rezoning transition: previous code among oldCodes, current code or group = to
+function transitionFilterExpression(filters) {
+  const t = filters.transition;
+  if (!t) return true;
+  return [
+    "all",
+    [
+      "in",
+      ["to-string", ["get", FIELDS.previousCode]],
+      ["literal", t.oldCodes],
+    ],
+    [
+      "==",
+      t.level === "code"
+        ? ["to-string", ["get", FIELDS.code]]
+        : ["to-string", ["coalesce", ["get", FIELDS.group], "Other"]],
+      t.to,
+    ],
+  ];
+}
+
+// Year: a district passes when any of the selected date fields falls inside
+// the year range. Districts with none of those dates set ("undated") pass
+// only while includeUndated is on. Dates are epoch ms; a missing, zero or
+// non-numeric value counts as unset, as in the analytics (dateMs). MapLibre
+// can't parse date strings: GeoJSON data has them converted on load, vector
+// tiles need epoch ms.
+function activeDateFields(filters = state.filters) {
+  return filters.dateField === "ANY" ? DATE_FIELDS : [filters.dateField];
+}
+
+function dateFilterExpression(filters) {
+  const [minMs, maxMs] = yearRangeToMs(filters.yearMin, filters.yearMax);
+  const ms = (field) => ["to-number", ["get", field], 0];
+  const fields = activeDateFields(filters);
+  const inRange = fields.map((field) => [
+    "all",
+    ["!=", ms(field), 0],
+    [">=", ms(field), minMs],
+    ["<=", ms(field), maxMs],
+  ]);
+  const undated = ["all", ...fields.map((field) => ["==", ms(field), 0])];
+  return filters.includeUndated
+    ? ["any", ...inRange, undated]
+    : ["any", ...inRange];
+}
+
+function yearRangeToMs(yMin, yMax) {
+  const min = Date.UTC(yMin, 0, 1, 0, 0, 0, 0);
+  const max = Date.UTC(yMax, 11, 31, 23, 59, 59, 999);
+  return [min, max];
+}
+
+function safeSetFilter(layerId, expr) {
+  if (state.map.getLayer(layerId)) {
+    state.map.setFilter(layerId, expr);
+  }
+}
+
+// --- Query builder
+// Conditions over any attribute, nested one level: the top group combines
+// conditions and sub-groups with AND ("all") or OR ("any"). The query is
+// plain data in state.filters.query and compiles into the filter expression
+// like every other filter. Treat it as immutable: edits replace the tree.
+//   group: { op: "all" | "any", rules: [rule | group] }
+//   rule:  { field, type: "text" | "number" | "date", operator, value }
+// A rule keeps the type its field had when picked, so a shared query means
+// the same thing before the attribute list has loaded. Incomplete rules (no
+// field, or no usable value) are ignored.
+const QUERY_OPERATORS = {
+  eq: { label: "equals", types: ["text", "number"] },
+  neq: { label: "does not equal", types: ["text", "number"] },
+  in: { label: "is one of", types: ["text", "number"], list: true },
+  startsWith: { label: "starts with", types: ["text"] },
+  contains: { label: "contains", types: ["text"] },
+  lt: { label: "<", types: ["number"] },
+  lte: { label: "≤", types: ["number"] },
+  gt: { label: ">", types: ["number"] },
+  gte: { label: "≥", types: ["number"] },
+  before: { label: "is before", types: ["date"] },
+  onOrBefore: { label: "is on or before", types: ["date"] },
+  onOrAfter: { label: "is on or after", types: ["date"] },
+  after: { label: "is after", types: ["date"] },
+  empty: {
+    label: "is empty",
+    types: ["text", "number", "date"],
+    noValue: true,
+  },
+  notEmpty: {
+    label: "is not empty",
+    types: ["text", "number", "date"],
+    noValue: true,
+  },
+};
+const QUERY_GROUP_LABELS = { all: "AND", any: "OR" };
+const MS_PER_DAY = 24 * 3600 * 1000;
+
+function emptyQuery() {
+  return { op: "all", rules: [] };
+}
+
+function emptyQueryRule() {
+  return { field: "", type: "text", operator: "eq", value: "" };
+}
+
+// Attribute type from the loaded field list; dates are epoch-ms numbers
+function queryFieldType(field) {
+  const known = (state.queryFields || []).find((f) => f.name === field);
+  if (/DATE/i.test(field) && (!known || known.type === "number")) return "date";
+  return known?.type || "text";
+}
+
+function queryFilterExpression(filters) {
+  return queryNodeExpression(filters.query);
+}
+
+function queryNodeExpression(node) {
+  if (node.rules) {
+    const parts = node.rules
+      .map(queryNodeExpression)
+      .filter((expr) => expr !== true);
+    return parts.length ? [node.op, ...parts] : true;
+  }
+  return queryRuleExpression(node) ?? true;
+}
+
+// null when the rule is incomplete
+function queryRuleExpression({ field, type, operator, value }) {
+  const op = QUERY_OPERATORS[operator];
+  if (!field || !op || !op.types.includes(type)) return null;
+  const get = ["get", field];
+  const text = ["to-string", get];
+  // text operators ignore case; number operators match numbers only (not
+  // numeric strings)
+  const lower = ["downcase", text];
+  const isNumber = ["==", ["typeof", get], "number"];
+  if (operator === "empty") return ["any", ["==", get, null], ["==", text, ""]];
+  if (operator === "notEmpty")
+    return ["all", ["!=", get, null], ["!=", text, ""]];
+
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  if (type === "date") {
+    const day = Date.parse(`${raw}T00:00:00Z`);
+    if (!Number.isFinite(day)) return null;
+    const [cmp, ms] = {
+      before: ["<", day],
+      onOrBefore: ["<", day + MS_PER_DAY],
+      onOrAfter: [">=", day],
+      after: [">=", day + MS_PER_DAY],
+    }[operator];
+    return ["all", isNumber, ["!=", get, 0], [cmp, get, ms]];
+  }
+
+  if (op.list) {
+    const items = raw
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+    if (type === "number") {
+      const nums = items.map(Number).filter(Number.isFinite);
+      return nums.length ? ["in", get, ["literal", nums]] : null;
+    }
+    const terms = items.map((v) => v.toLowerCase());
+    return terms.length ? ["in", lower, ["literal", terms]] : null;
+  }
+
+  if (type === "number") {
+    const n = Number(raw);
+    if (!Number.isFinite(n)) return null;
+    const cmp = { eq: "==", neq: "!=", lt: "<", lte: "<=", gt: ">", gte: ">=" }[
+      operator
+    ];
+    return ["all", isNumber, [cmp, get, n]];
+  }
+
+  const term = raw.toLowerCase();
+  if (operator === "eq") return ["==", lower, term];
+  if (operator === "neq") return ["!=", lower, term];
+  if (operator === "startsWith") return ["==", ["index-of", term, lower], 0];
+  if (operator === "contains") return ["!=", ["index-of", term, lower], -1];
+  return null;
+}
+
+// Readable form for the sidebar and export metadata; "" when empty
+function queryText(node = state.filters.query, nested = false) {
+  if (node.rules) {
+    const parts = node.rules
+      .map((child) => queryText(child, true))
+      .filter(Boolean);
+    const text = parts.join(` ${QUERY_GROUP_LABELS[node.op]} `);
+    return nested && parts.length > 1 ? `(${text})` : text;
+  }
+  if (!queryRuleExpression(node)) return "";
+  const op = QUERY_OPERATORS[node.operator];
+  if (op.noValue) return `${node.field} ${op.label}`;
+  const value = op.list
+    ? String(node.value)
+        .split(",")
+        .map((v) => v.trim())
+        .filter(Boolean)
+        .join(", ")
+    : String(node.value).trim();
+  return node.type === "number"
+    ? `${node.field} ${op.label} ${value}`
+    : `${node.field} ${op.label} "${value}"`;
+}
+
+// Drops anything that isn't a well-formed node (shared links, old saves)
+function sanitizeQuery(node, depth = 0) {
+  if (!node || typeof node !== "object") return null;
+  if (!depth && !Array.isArray(node.rules)) return null; // root is a group
+  if (Array.isArray(node.rules)) {
+    if (!Object.hasOwn(QUERY_GROUP_LABELS, node.op) || depth > 1) return null;
+    return {
+      op: node.op,
+      rules: node.rules
+        .map((child) => sanitizeQuery(child, depth + 1))
+        .filter(Boolean),
+    };
+  }
+  if (
+    typeof node.field !== "string" ||
+    !["text", "number", "date"].includes(node.type) ||
+    !Object.hasOwn(QUERY_OPERATORS, node.operator)
+  )
+    return null;
+  return {
+    field: node.field,
+    type: node.type,
+    operator: node.operator,
+    value: node.value == null ? "" : String(node.value),
+  };
+}
+
+// Every attribute in the zoning data, with a coarse type
+function loadQueryFields() {
+  if (!state.queryFieldsRequest) {
+    state.queryFieldsRequest = (
+      state.zoningMode === "vector"
+        ? vectorQueryFields()
+        : workerRequest("fields", { name: "zoning" })
+    ).then((fields) => {
+      state.queryFields = fields.sort((a, b) => a.name.localeCompare(b.name));
+      return state.queryFields;
+    });
+    state.queryFieldsRequest.catch(() => (state.queryFieldsRequest = null));
+  }
+  return state.queryFieldsRequest;
+}
+
+// Field list from the archive's tile metadata (vector_layers)
+async function vectorQueryFields() {
+  const { pmtiles: file, sourceLayer } = DATASETS.zoning;
+  const metadata = await new pmtiles.PMTiles(file).getMetadata();
+  const layer = (metadata?.vector_layers || []).find(
+    (l) => l.id === sourceLayer
+  );
+  if (!layer) throw new Error(`No "${sourceLayer}" layer in ${file}`);
+  return Object.entries(layer.fields || {}).map(([name, type]) => ({
+    name,
+    type: /number/i.test(type) ? "number" : "text",
+  }));
+}
+
+// Replace the query with an edited copy and re-apply the filters
+function editQuery(edit, { rerender = true } = {}) {
+  const query = structuredClone(state.filters.query);
+  edit(query);
+  state.filters.query = query;
+  if (rerender) renderQueryBuilder();
+  else renderQuerySummary();
+  applyAllFiltersDebounced();
+}
+
+// "0.2" -> query.rules[0].rules[2]
+function queryNodeAt(query, path) {
+  if (path === "") return query;
+  return path.split(".").reduce((node, i) => node.rules[Number(i)], query);
+}
+
+function removeQueryNode(query, path) {
+  const parts = path.split(".");
+  const index = Number(parts.pop());
+  queryNodeAt(query, parts.join(".")).rules.splice(index, 1);
+}
+
+function wireQueryBuilder() {
+  const root = document.getElementById("queryRoot");
+  const details = document.getElementById("queryBuilder");
+  details.addEventListener("toggle", () => {
+    if (!details.open || state.queryFields) return;
+    loadQueryFields()
+      .then(renderQueryBuilder)
+      .catch((err) => {
+        console.error(err);
+        showNotification("Could not read the attribute list", "error");
+      });
+  });
+
+  root.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-action]");
+    if (!btn) return;
+    const path = btn.closest("[data-path]").dataset.path;
+    if (btn.dataset.action === "add-rule")
+      editQuery((q) => queryNodeAt(q, path).rules.push(emptyQueryRule()));
+    if (btn.dataset.action === "add-group")
+      editQuery((q) =>
+        queryNodeAt(q, path).rules.push({
+          op: "any",
+          rules: [emptyQueryRule()],
+        })
+      );
+    if (btn.dataset.action === "remove")
+      editQuery((q) => removeQueryNode(q, path));
+    if (btn.dataset.action === "clear") editQuery((q) => (q.rules = []));
+  });
+
+  root.addEventListener("change", (e) => {
+    const el = e.target.closest("[data-key]");
+    if (!el || el.dataset.key === "value") return; // handled on input
+    const path = el.closest("[data-path]").dataset.path;
+    editQuery((q) => {
+      const node = queryNodeAt(q, path);
+      node[el.dataset.key] = el.value;
+      if (el.dataset.key === "field") {
+        // keep the operator when it still applies to the new field's type
+        node.type = queryFieldType(el.value);
+        if (!QUERY_OPERATORS[node.operator].types.includes(node.type))
+          node.operator = node.type === "date" ? "onOrAfter" : "eq";
+        node.value = "";
+      }
+    });
+  });
+
+  // typing in a value box: re-filter without rebuilding (keeps focus)
+  root.addEventListener("input", (e) => {
+    const el = e.target.closest('[data-key="value"]');
+    if (!el) return;
+    const path = el.closest("[data-path]").dataset.path;
+    editQuery((q) => (queryNodeAt(q, path).value = el.value), {
+      rerender: false,
+    });
+  });
+
+  renderQueryBuilder();
+}
+
+function renderQueryBuilder() {
+  const root = document.getElementById("queryRoot");
+  if (!root) return;
+  root.innerHTML = state.queryFields
+    ? queryGroupHtml(state.filters.query, "")
+    : `<p class="query-hint">${
+        state.queryFieldsRequest ? "Loading attributes…" : ""
+      }</p>`;
+  renderQuerySummary();
+}
+
+function renderQuerySummary() {
+  const text = queryText();
+  document.getElementById("queryText").textContent = text
+    ? `Active: ${text}`
+    : "No conditions. Add one to filter by any attribute.";
+  document.getElementById("queryCount").textContent = text ? "●" : "";
+}
+
+function queryGroupHtml(group, path) {
+  const top = path === "";
+  const rules = group.rules
+    .map((node, i) => {
+      const childPath = top ? String(i) : `${path}.${i}`;
+      return node.rules
+        ? queryGroupHtml(node, childPath)
+        : queryRuleHtml(node, childPath);
+    })
+    .join("");
+  const opSelect = `<select data-key="op" aria-label="Combine conditions with">
+      ${Object.entries(QUERY_GROUP_LABELS)
+        .map(
+          ([op, label]) =>
+            `<option value="${op}"${op === group.op ? " selected" : ""}>${
+              op === "all" ? "Match all (AND)" : "Match any (OR)"
+            }</option>`
+        )
+        .join("")}
+    </select>`;
+  return `
+    <div class="query-group${top ? " top" : ""}" data-path="${path}">
+      <div class="query-group-head">
+        ${opSelect}
+        ${
+          top
+            ? `<button type="button" data-action="clear" title="Remove all conditions">Clear</button>`
+            : `<button type="button" data-action="remove" aria-label="Remove group">×</button>`
+        }
+      </div>
+      ${rules}
+      <div class="query-group-actions">
+        <button type="button" data-action="add-rule">+ Condition</button>
+        ${
+          top
+            ? `<button type="button" data-action="add-group">+ Group</button>`
+            : ""
+        }
+      </div>
+    </div>
+  `;
+}
+
+function queryRuleHtml(rule, path) {
+  const type = rule.type;
+  const names = state.queryFields.map((f) => f.name);
+  if (rule.field && !names.includes(rule.field)) names.unshift(rule.field);
+  const fieldOptions = names
+    .map(
+      (name) =>
+        `<option value="${escapeHtml(name)}"${
+          name === rule.field ? " selected" : ""
+        }>${escapeHtml(name)}</option>`
+    )
+    .join("");
+  const opOptions = Object.entries(QUERY_OPERATORS)
+    .filter(([, op]) => op.types.includes(type))
+    .map(
+      ([key, op]) =>
+        `<option value="${key}"${key === rule.operator ? " selected" : ""}>${
+          op.label
+        }</option>`
+    )
+    .join("");
+  const op = QUERY_OPERATORS[rule.operator];
+  const inputType =
+    type === "date"
+      ? "date"
+      : type === "number" && !op.list
+      ? "number"
+      : "text";
+  const value = op.noValue
+    ? ""
+    : `<input type="${inputType}" data-key="value" value="${escapeHtml(
+        rule.value
+      )}" aria-label="Value"${op.list ? ' placeholder="A, B, C"' : ""} />`;
+  return `
+    <div class="query-rule" data-path="${path}">
+      <select data-key="field" aria-label="Attribute">
+        <option value=""${
+          rule.field ? "" : " selected"
+        } disabled>Attribute…</option>
+        ${fieldOptions}
+      </select>
+      <select data-key="operator" aria-label="Operator">${opOptions}</select>
+      ${value}
+      <button type="button" data-action="remove" aria-label="Remove condition">×</button>
+    </div>
+  `;
+}
+
+// --- Permalinks
+// Hash layout: #map=zoom/lat/lng&group=..&years=min-max&date=BCC_DATE&undated=0&area=min-max&q=..&hide=Residential,Other&qb={json}&code=..&tr={json}&style=year&layers=zoning,flu&consistency=1&sel=lng,lat
+// Only values that differ from DEFAULT_FILTERS are written.
+function initPermalinks() {
+  // first write replaces the entry we loaded with, so Back leaves the app
+  history.replaceState(null, "", serializeHashState());
+  state.permalinkReady = true;
+
+  state.map.on("moveend", () => {
+    // the camera Back/Forward restored is that entry, not a new one (its
+    // rounding can differ from the hash, and a push would drop Forward)
+    if (state.restoringHash) state.restoringHash = false;
+    else updatePermalinkDebounced();
+  });
+  window.addEventListener("popstate", restoreFromHash);
+
+  if (state.initialHash.selection)
+    restoreSelection(state.initialHash.selection);
+}
+
+function serializeHashState() {
+  const f = state.filters;
+  const parts = [];
+  const put = (key, value) =>
+    parts.push(
+      `${key}=${encodeURIComponent(value)
+        .replace(/%2C/g, ",")
+        .replace(/%2F/g, "/")}`
+    );
+
+  const center = state.map.getCenter();
+  put(
+    "map",
+    `${state.map.getZoom().toFixed(2)}/${center.lat.toFixed(
+      5
+    )}/${center.lng.toFixed(5)}`
+  );
+  if (f.group !== DEFAULT_FILTERS.group) put("group", f.group);
+  if (
+    f.yearMin !== DEFAULT_FILTERS.yearMin ||
+    f.yearMax !== DEFAULT_FILTERS.yearMax
+  )
+    put("years", `${f.yearMin}-${f.yearMax}`);
+  if (f.dateField !== DEFAULT_FILTERS.dateField) put("date", f.dateField);
+  if (f.includeUndated !== DEFAULT_FILTERS.includeUndated)
+    put("undated", f.includeUndated ? "1" : "0");
+  if (
+    f.areaMin !== DEFAULT_FILTERS.areaMin ||
+    f.areaMax !== DEFAULT_FILTERS.areaMax
+  )
+    put("area", `${f.areaMin}-${f.areaMax}`);
+  if (f.search) put("q", f.search);
+  if (f.hiddenGroups.length) put("hide", f.hiddenGroups.join(","));
+  if (f.query.rules.length) put("qb", JSON.stringify(f.query));
+  if (f.zoningCode) put("code", f.zoningCode);
+  if (f.transition) put("tr", JSON.stringify(f.transition));
+  if (state.styleMode !== "group") put("style", state.styleMode);
+  if (
+    f.showZoning !== DEFAULT_FILTERS.showZoning ||
+    f.showFLU !== DEFAULT_FILTERS.showFLU
+  ) {
+    const layers = [];
+    if (f.showZoning) layers.push("zoning");
+    if (f.showFLU) layers.push("flu");
+    put("layers", layers.length ? layers.join(",") : "none");
+  }
+  if (state.consistency.enabled) put("consistency", "1");
+  if (state.selection)
+    put(
+      "sel",
+      `${state.selection[0].toFixed(6)},${state.selection[1].toFixed(6)}`
+    );
+  return `#${parts.join("&")}`;
+}
+
+// Returns { filters, camera, consistency, styleMode, selection } with only valid values present
+function parseHashState(hash) {
+  const params = new URLSearchParams((hash || "").replace(/^#/, ""));
+  const style = params.get("style");
+  const out = {
+    filters: {},
+    camera: null,
+    consistency: params.get("consistency") === "1",
+    styleMode: Object.hasOwn(STYLE_MODES, style ?? "") ? style : "group",
+    selection: null,
+  };
+
+  const cam = (params.get("map") || "").split("/").map(Number);
+  if (cam.length === 3 && cam.every(Number.isFinite)) {
+    out.camera = { zoom: cam[0], center: [cam[2], cam[1]] };
+  }
+
+  const group = params.get("group");
+  if (group && (group === "ALL" || group in colors)) out.filters.group = group;
+
+  const years = parseRangeParam(
+    params.get("years"),
+    DEFAULT_FILTERS.yearMin,
+    DEFAULT_FILTERS.yearMax
+  );
+  if (years) [out.filters.yearMin, out.filters.yearMax] = years;
+
+  const dateField = params.get("date");
+  if (Object.hasOwn(DATE_FIELD_LABELS, dateField ?? ""))
+    out.filters.dateField = dateField;
+  if (params.has("undated"))
+    out.filters.includeUndated = params.get("undated") !== "0";
+
+  const area = parseRangeParam(
+    params.get("area"),
+    DEFAULT_FILTERS.areaMin,
+    DEFAULT_FILTERS.areaMax
+  );
+  if (area) [out.filters.areaMin, out.filters.areaMax] = area;
+
+  if (params.has("q")) out.filters.search = params.get("q").trim();
+  if (params.get("qb")) {
+    try {
+      const query = sanitizeQuery(JSON.parse(params.get("qb")));
+      if (query) out.filters.query = query;
+    } catch (err) {
+      // malformed: no query
+    }
+  }
+  if (params.get("hide")) {
+    const hidden = params
+      .get("hide")
+      .split(",")
+      .filter((g) => Object.hasOwn(colors, g));
+    if (hidden.length) out.filters.hiddenGroups = [...new Set(hidden)];
+  }
+  if (params.get("code")) out.filters.zoningCode = params.get("code");
+  const transition = parseTransitionParam(params.get("tr"));
+  if (transition) out.filters.transition = transition;
+
+  if (params.has("layers")) {
+    const layers = params.get("layers").split(",");
+    out.filters.showZoning = layers.includes("zoning");
+    out.filters.showFLU = layers.includes("flu");
+  }
+
+  const sel = (params.get("sel") || "").split(",").map(Number);
+  if (sel.length === 2 && sel.every(Number.isFinite)) out.selection = sel;
+
+  return out;
+}
+
+function parseTransitionParam(value) {
+  try {
+    return sanitizeTransition(JSON.parse(value));
+  } catch (err) {
+    // missing or malformed: no transition filter
+    return null;
+  }
+}
+
+function sanitizeTransition(t) {
+  const isText = (v) => typeof v === "string" && v !== "";
+  if (
+    t &&
+    Object.hasOwn(TRANSITION_LEVELS, t.level) &&
+    isText(t.from) &&
+    isText(t.to) &&
+    Array.isArray(t.oldCodes) &&
+    t.oldCodes.length &&
+    t.oldCodes.every(isText)
+  )
+    return { level: t.level, from: t.from, to: t.to, oldCodes: t.oldCodes };
+  return null;
+}
+
+function parseRangeParam(value, lo, hi) {
+  const m = /^(\d+)-(\d+)$/.exec(value || "");
+  return m ? clampRange(Number(m[1]), Number(m[2]), lo, hi) : null;
+}
+
+function clampRange(min, max, lo, hi) {
+  if (!Number.isFinite(min) || !Number.isFinite(max)) return null;
+  const a = Math.min(Math.max(min, lo), hi);
+  const b = Math.min(Math.max(max, lo), hi);
+  return a <= b ? [a, b] : null;
+}
+
+function updatePermalink() {
+  if (!state.permalinkReady) return;
+  const hash = serializeHashState();
+  if (hash !== window.location.hash) history.pushState(null, "", hash);
+}
+
+// Back/forward (or a pasted link): rebuild filters, controls, camera, selection
+function restoreFromHash() {
+  const parsed = parseHashState(window.location.hash);
+  // jumpTo always fires moveend, which clears the flag
+  state.restoringHash = Boolean(parsed.camera);
+  applyViewState(parsed);
+  if (parsed.selection) restoreSelection(parsed.selection);
+  else clearSelection();
+}
+
+// Replace filters, style and camera with { filters, consistency, styleMode,
+// camera } (a parsed hash or a saved view) and bring every control in line
+function applyViewState({ filters, consistency, styleMode, camera }) {
+  Object.assign(state.filters, DEFAULT_FILTERS, filters);
+  resetUnavailableFilters();
+  state.chartFilters.clear();
+  syncControlsFromState();
+  renderChartFilterBars();
+  applyLayerVisibility();
+  updateLayerFilters();
+  renderLegend();
+  renderQueryBuilder();
+  updateLegendCountsDebounced();
+  if (consistency !== state.consistency.enabled)
+    setConsistencyEnabled(consistency);
+  if (styleMode !== state.styleMode) setStyleMode(styleMode);
+  updateAnalyticsDebounced();
+  if (camera) state.map.jumpTo(camera);
+}
+
+// Re-select whatever is rendered under a stored point once tiles are in
+async function restoreSelection(lngLat) {
+  // keep the point even if nothing renders there, so the hash stays stable
+  state.selection = lngLat;
+  await whenMapIdle();
+  // the hash already holds it
+  selectAtPoint(state.map.project(lngLat), lngLat, { updateHash: false });
+}
+
+// --- Saved views
+// Named snapshots of the filters, layer toggles, style mode and camera, kept
+// in localStorage. The collection moves between browsers as a JSON file;
+// an imported view replaces a stored one with the same name.
+const SAVED_VIEWS_FILE_VERSION = 1;
+
+function wireSavedViews() {
+  const nameInput = document.getElementById("savedViewName");
+  const fileInput = document.getElementById("importViewsFile");
+  const save = () => {
+    if (saveView(nameInput.value)) nameInput.value = "";
+  };
+
+  document.getElementById("saveViewBtn").addEventListener("click", save);
+  nameInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") save();
+  });
+  document
+    .getElementById("exportViewsBtn")
+    .addEventListener("click", exportSavedViews);
+  document
+    .getElementById("importViewsBtn")
+    .addEventListener("click", () => fileInput.click());
+  fileInput.addEventListener("change", () => {
+    const file = fileInput.files[0];
+    fileInput.value = ""; // picking the same file again still fires
+    if (file) importSavedViews(file);
+  });
+  document.getElementById("savedViewList").addEventListener("click", (e) => {
+    const item = e.target.closest("[data-view]");
+    if (!item) return;
+    if (e.target.closest(".saved-view-delete")) deleteView(item.dataset.view);
+    else restoreView(item.dataset.view);
+  });
+
+  state.savedViews = storedSavedViews();
+  renderSavedViews();
+}
+
+function currentView(name) {
+  const center = state.map.getCenter();
+  return {
+    name,
+    savedAt: new Date().toISOString(),
+    filters: structuredClone(state.filters),
+    styleMode: state.styleMode,
+    consistency: state.consistency.enabled,
+    camera: {
+      center: [Number(center.lng.toFixed(6)), Number(center.lat.toFixed(6))],
+      zoom: Number(state.map.getZoom().toFixed(2)),
+      bearing: state.map.getBearing(),
+      pitch: state.map.getPitch(),
+    },
+  };
+}
+
+// Returns false (and says why) when nothing was saved
+function saveView(rawName) {
+  const name = rawName.trim();
+  if (!name) {
+    showNotification("Enter a name for the view", "error");
+    return false;
+  }
+  const replaced = putSavedView(currentView(name));
+  storeSavedViews();
+  renderSavedViews();
+  showNotification(`${replaced ? "Updated" : "Saved"} view "${name}"`);
+  return true;
+}
+
+// Add or replace (by name); true when a view was replaced
+function putSavedView(view) {
+  const i = state.savedViews.findIndex((v) => v.name === view.name);
+  if (i >= 0) state.savedViews[i] = view;
+  else state.savedViews.push(view);
+  return i >= 0;
+}
+
+function restoreView(name) {
+  const view = state.savedViews.find((v) => v.name === name);
+  if (!view) return;
+  // filters hold arrays/objects that are replaced, never mutated, but the
+  // stored copy must not become the live one
+  applyViewState(structuredClone(view));
+  clearSelection();
+  updatePermalinkDebounced();
+  showNotification(`Restored view "${name}"`);
+}
+
+function deleteView(name) {
+  state.savedViews = state.savedViews.filter((v) => v.name !== name);
+  storeSavedViews();
+  renderSavedViews();
+  showNotification(`Deleted view "${name}"`);
+}
+
+function renderSavedViews() {
+  const views = state.savedViews;
+  document.getElementById("savedViewList").innerHTML = views.length
+    ? views
+        .map((v) => {
+          const name = escapeHtml(v.name);
+          const saved = v.savedAt ? `Saved ${v.savedAt.slice(0, 10)}` : "";
+          return `<li class="saved-view" data-view="${name}">
+            <button class="saved-view-restore" title="${saved}">${name}</button>
+            <button class="saved-view-delete" title="Delete" aria-label="Delete view ${name}">×</button>
+          </li>`;
+        })
+        .join("")
+    : `<li class="saved-view-empty">No saved views yet.</li>`;
+  document.getElementById("exportViewsBtn").disabled = !views.length;
+}
+
+function storeSavedViews() {
+  try {
+    localStorage.setItem(
+      SAVED_VIEWS_STORAGE_KEY,
+      JSON.stringify(state.savedViews)
+    );
+  } catch (err) {
+    showNotification(
+      "Views could not be stored in this browser; export them to keep a copy",
+      "error"
+    );
+  }
+}
+
+function storedSavedViews() {
+  try {
+    const list = JSON.parse(localStorage.getItem(SAVED_VIEWS_STORAGE_KEY));
+    return Array.isArray(list) ? list.map(sanitizeView).filter(Boolean) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function exportSavedViews() {
+  if (!state.savedViews.length) return;
+  downloadFile(
+    JSON.stringify(
+      { version: SAVED_VIEWS_FILE_VERSION, views: state.savedViews },
+      null,
+      2
+    ),
+    "orange_county_zoning_views.json",
+    "application/json"
+  );
+}
+
+async function importSavedViews(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    showNotification(`${file.name} is not a JSON file`, "error");
+    return;
+  }
+  // a bare array of views is accepted too
+  const list = Array.isArray(data) ? data : data?.views;
+  if (!Array.isArray(list)) {
+    showNotification(`${file.name} contains no saved views`, "error");
+    return;
+  }
+  const views = list.map(sanitizeView).filter(Boolean);
+  views.forEach(putSavedView);
+  storeSavedViews();
+  renderSavedViews();
+  const skipped = list.length - views.length;
+  showNotification(
+    `Imported ${views.length} view${views.length === 1 ? "" : "s"}${
+      skipped ? ` (${skipped} invalid skipped)` : ""
+    }`,
+    views.length ? "info" : "error"
+  );
+}
+
+// Views come from storage and shared files: keep only valid values, as
+// parseHashState does for links. Returns null without a usable name.
+function sanitizeView(v) {
+  if (!v || typeof v.name !== "string" || !v.name.trim()) return null;
+  const cam = v.camera || {};
+  const finite = (n) => (Number.isFinite(n) ? n : 0);
+  const hasCamera =
+    Array.isArray(cam.center) &&
+    cam.center.length === 2 &&
+    cam.center.every(Number.isFinite) &&
+    Number.isFinite(cam.zoom);
+  return {
+    name: v.name.trim(),
+    savedAt: typeof v.savedAt === "string" ? v.savedAt : "",
+    filters: sanitizeViewFilters(v.filters || {}),
+    styleMode: Object.hasOwn(STYLE_MODES, v.styleMode ?? "")
+      ? v.styleMode
+      : "group",
+    consistency: v.consistency === true,
+    camera: hasCamera
+      ? {
+          center: cam.center,
+          zoom: cam.zoom,
+          bearing: finite(cam.bearing),
+          pitch: finite(cam.pitch),
+        }
+      : null,
+  };
+}
+
+function sanitizeViewFilters(f) {
+  const out = {};
+  if (f.group === "ALL" || Object.hasOwn(colors, f.group ?? ""))
+    out.group = f.group;
+  const years = clampRange(
+    f.yearMin,
+    f.yearMax,
+    DEFAULT_FILTERS.yearMin,
+    DEFAULT_FILTERS.yearMax
+  );
+  if (years) [out.yearMin, out.yearMax] = years;
+  if (Object.hasOwn(DATE_FIELD_LABELS, f.dateField ?? ""))
+    out.dateField = f.dateField;
+  const area = clampRange(
+    f.areaMin,
+    f.areaMax,
+    DEFAULT_FILTERS.areaMin,
+    DEFAULT_FILTERS.areaMax
+  );
+  if (area) [out.areaMin, out.areaMax] = area;
+  for (const key of ["includeUndated", "showZoning", "showFLU"]) {
+    if (typeof f[key] === "boolean") out[key] = f[key];
+  }
+  if (typeof f.search === "string") out.search = f.search.trim();
+  if (Array.isArray(f.hiddenGroups))
+    out.hiddenGroups = [
+      ...new Set(f.hiddenGroups.filter((g) => Object.hasOwn(colors, g))),
+    ];
+  const query = sanitizeQuery(f.query);
+  if (query) out.query = query;
+  if (typeof f.zoningCode === "string") out.zoningCode = f.zoningCode;
+  const transition = sanitizeTransition(f.transition);
+  if (transition) out.transition = transition;
+  return out;
+}
+
+// --- Selection
+// FLU attribute that holds the designation; first one present wins
+const FLU_DESIGNATION_FIELDS = [
+  "FLUM",
+  "FLU",
+  "FLU_CODE",
+  "FLUM_DESC",
+  "LANDUSE",
+  "LAND_USE",
+  "DESCRIPTION",
+];
+
+function clearSelection() {
+  document.querySelector('[data-panel="selection-info"]')?.remove();
+  state.selection = null;
+}
+
+function queryableLayers() {
+  return ["zoning-fill", "flu-fill"].filter(
+    (id) =>
+      state.map.getLayer(id) &&
+      state.map.getLayoutProperty(id, "visibility") !== "none"
+  );
+}
+
+// Select the zoning district and/or FLU designation under a screen point
+function selectAtPoint(point, lngLat, options) {
+  const layers = queryableLayers();
+  if (!layers.length) return;
+  const hits = state.map.queryRenderedFeatures(point, { layers });
+  const zoning = hits.find((f) => f.layer.id === "zoning-fill");
+  const flu = hits.find((f) => f.layer.id === "flu-fill");
+  if (zoning || flu) selectFeature({ zoning, flu }, lngLat, options);
+}
+
+function fluDesignation(props) {
+  const configured = DATASETS.flu.designationField;
+  const field = configured
+    ? configured
+    : FLU_DESIGNATION_FIELDS.find((f) => props[f] != null);
+  return field ? String(props[field]) : null;
+}
+
+function selectFeature({ zoning, flu }, lngLat, { updateHash = true } = {}) {
+  if (!zoning && !flu) return;
+
+  const existingPanel = document.querySelector('[data-panel="selection-info"]');
+  if (existingPanel) existingPanel.remove();
+  state.selection = lngLat || null;
+  if (updateHash) updatePermalinkDebounced();
+
+  const infoPanel = document.createElement("div");
+  infoPanel.setAttribute("data-panel", "selection-info");
+  infoPanel.style.cssText = `
+    position: absolute; top: 20px; right: 20px;
+    background: rgba(22, 26, 46, 0.95); color: #e9edf5; padding: 20px;
+    border-radius: 12px; border: 1px solid #2a3152; font-size: 14px; z-index: 1000;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.5); max-width: 420px; max-height: 80vh; overflow-y: auto;
+    backdrop-filter: blur(4px);
+  `;
+
+  const header = document.createElement("div");
+  header.style.cssText = `
+    display:flex; justify-content:space-between; align-items:center; padding:16px 20px;
+    background: linear-gradient(135deg, #6aa6ff, #7ad0c9); color: white;
+    border-radius: 8px 8px 0 0; margin: -20px -20px 20px -20px;
+  `;
+
+  const title = document.createElement("h3");
+  title.textContent =
+    zoning && flu
+      ? "📍 Zoning & Future Land Use"
+      : zoning
+      ? "📍 Zoning Information"
+      : "🗺️ Future Land Use";
+  title.style.cssText = `margin:0; font-size:16px; font-weight:600;`;
+
+  const closeBtn = document.createElement("button");
+  closeBtn.textContent = "×";
+  closeBtn.style.cssText = `
+    background:none; border:none; color:white; font-size:20px; cursor:pointer; padding:0;
+    width:24px; height:24px; display:flex; align-items:center; justify-content:center; border-radius:4px;
+  `;
+  closeBtn.onclick = () => {
+    clearSelection();
+    updatePermalinkDebounced();
+  };
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+  infoPanel.appendChild(header);
+
+  if (zoning) {
+    if (flu)
+      infoPanel.insertAdjacentHTML("beforeend", sectionHeading("Zoning"));
+    infoPanel.insertAdjacentHTML(
+      "beforeend",
+      zoningInfoHtml(zoning.properties || {})
+    );
+  }
+  if (flu) {
+    if (zoning)
+      infoPanel.insertAdjacentHTML(
+        "beforeend",
+        sectionHeading("Future Land Use")
+      );
+    infoPanel.insertAdjacentHTML(
+      "beforeend",
+      fluInfoHtml(flu.properties || {})
+    );
+  }
+  if (zoning) infoPanel.appendChild(createBufferControls(zoning));
+
+  document.getElementById("map").appendChild(infoPanel);
+}
+
+function sectionHeading(text) {
+  return `<div style="margin:16px 0 12px;padding-bottom:4px;border-bottom:1px solid #2a3152;color:#9aa3b2;font-size:12px;text-transform:uppercase;letter-spacing:0.06em;">${text}</div>`;
+}
+
+const DATE_INFO_COLORS = ["#87d4a5", "#778899", "#b3b6c2"];
+
+function zoningInfoHtml(props) {
+  return `
+    <div style="margin-bottom: 12px;">
+      <span style="color:#6aa6ff;font-weight:bold;">Zoning Code:</span>
+      <span style="color:#e9edf5;font-weight:bold;"> ${escapeHtml(
+        props[FIELDS.code] || "—"
+      )}</span>
+    </div>
+    <div style="margin-bottom: 12px;">
+      <span style="color:#7ad0c9;font-weight:bold;">Category:</span>
+      <span style="color:#e9edf5;font-weight:bold;"> ${escapeHtml(
+        props[FIELDS.group] || "—"
+      )}</span>
+    </div>
+    ${
+      props[FIELDS.pdName]
+        ? `
+    <div style="margin-bottom: 12px;">
+      <span style="color:#ffb057;font-weight:bold;">PD Name:</span>
+      <span style="color:#e9edf5;"> ${escapeHtml(props[FIELDS.pdName])}</span>
+      <button type="button" data-open-pd="${escapeHtml(
+        props[FIELDS.pdName]
+      )}" style="margin-left:6px;background:none;border:1px solid #2a3152;color:#c07bff;border-radius:4px;padding:2px 6px;font-size:11px;cursor:pointer;">Show whole PD</button>
+    </div>`
+        : ""
+    }
+
+    ${
+      props[FIELDS.previousCode]
+        ? `
+    <div style="margin-bottom: 12px;">
+      <span style="color:#c07bff;font-weight:bold;">Previous Zoning:</span>
+      <span style="color:#e9edf5;"> ${escapeHtml(
+        props[FIELDS.previousCode]
+      )}</span>
+    </div>`
+        : ""
+    }
+
+    ${
+      props[FIELDS.acres]
+        ? `
+    <div style="margin-bottom: 12px;">
+      <span style="color:#ffd86e;font-weight:bold;">Area:</span>
+      <span style="color:#e9edf5;"> ${Number(
+        props[FIELDS.acres]
+      ).toLocaleString(undefined, { maximumFractionDigits: 2 })} acres</span>
+    </div>`
+        : ""
+    }
+
+    ${DATE_FIELDS.map((field, i) =>
+      props[field]
+        ? `
+    <div style="margin-bottom: 12px;">
+      <span style="color:${
+        DATE_INFO_COLORS[i % DATE_INFO_COLORS.length]
+      };font-weight:bold;">${escapeHtml(DATE_FIELD_LABELS[field])}:</span>
+      <span style="color:#e9edf5;"> ${formatDate(props[field])}</span>
+    </div>`
+        : ""
+    ).join("")}
+
+    ${
+      props.centroid_lat && props.centroid_lon
+        ? `<div style="margin-bottom:12px;">
+             <span style="color:#6aa6ff;font-weight:bold;">Centroid:</span>
+             <span style="color:#e9edf5;"> ${Number(props.centroid_lat).toFixed(
+               4
+             )}, ${Number(props.centroid_lon).toFixed(4)}</span>
+           </div>`
+        : ""
+    }
+  `;
+}
+
+// Designation up top, then every attribute the FLU polygon carries
+function fluInfoHtml(props) {
+  const designation = fluDesignation(props);
+  const rows = Object.entries(props)
+    .filter(([, v]) => v != null && v !== "")
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(
+      ([k, v]) => `
+      <tr>
+        <td style="color:#9aa3b2;padding:2px 12px 2px 0;vertical-align:top;">${escapeHtml(
+          k
+        )}</td>
+        <td style="color:#e9edf5;padding:2px 0;word-break:break-word;">${escapeHtml(
+          v
+        )}</td>
+      </tr>`
+    )
+    .join("");
+  return `
+    <div style="margin-bottom: 12px;">
+      <span style="color:#00e0c7;font-weight:bold;">FLU Designation:</span>
+      <span style="color:#e9edf5;font-weight:bold;"> ${escapeHtml(
+        designation || "—"
+      )}</span>
+    </div>
+    ${
+      rows
+        ? `<table style="width:100%;border-collapse:collapse;font-size:12px;">${rows}</table>`
+        : ""
+    }
+  `;
+}
+
+function formatDate(value) {
+  // Handles epoch ms or ISO
+  const d = new Date(value);
+  return isNaN(d) ? "—" : d.toISOString().slice(0, 10);
+}
+
+// --- Legend (collapsible + compact on mobile)
+function addLegend() {
+  const legend = document.createElement("div");
+  legend.className = "map-legend";
+
+  const header = document.createElement("div");
+  header.className = "legend-header";
+  header.innerHTML = `<span class="legend-title">Zoning Categories</span><button class="legend-toggle" aria-label="Toggle legend">–</button>`;
+
+  const list = document.createElement("div");
+  list.className = "legend-list";
+
+  const status = document.createElement("div");
+  status.className = "legend-status";
+
+  const footer = document.createElement("div");
+  footer.className = "legend-footer";
+
+  legend.appendChild(header);
+  legend.appendChild(list);
+  legend.appendChild(footer);
+  legend.appendChild(status);
+  document.getElementById("map").appendChild(legend);
+  renderLegend();
+
+  // Group rows: click hides/shows, "only" isolates
+  list.addEventListener("click", (e) => {
+    const only = e.target.closest(".legend-only");
+    const row = e.target.closest(".legend-item[data-group]");
+    if (only) isolateGroup(only.dataset.only);
+    else if (row) toggleGroup(row.dataset.group);
+  });
+  list.addEventListener("keydown", (e) => {
+    const row = e.target.closest(".legend-item[data-group]");
+    if (!row || e.target !== row || (e.key !== "Enter" && e.key !== " "))
+      return;
+    e.preventDefault();
+    toggleGroup(row.dataset.group);
+  });
+  footer.addEventListener("click", (e) => {
+    if (e.target.closest(".legend-show-all")) setHiddenGroups([]);
+  });
+
+  // Toggle collapse
+  const toggleBtn = legend.querySelector(".legend-toggle");
+  toggleBtn.addEventListener("click", () => {
+    legend.classList.toggle("collapsed");
+    toggleBtn.textContent = legend.classList.contains("collapsed") ? "+" : "–";
+  });
+
+  // Default to collapsed on small screens
+  if (window.innerWidth <= 768) {
+    legend.classList.add("collapsed");
+    toggleBtn.textContent = "+";
+  }
+}
+
+// Title + swatches for whatever currently drives the zoning fill color, with
+// visible-district counts per class once updateLegendCounts has run
+function renderLegend() {
+  const legend = document.querySelector(".map-legend");
+  if (!legend) return;
+  const consistency = state.consistency.enabled;
+  const entries = consistency
+    ? Object.entries(CONSISTENCY_LABELS).map(([k, label]) => [
+        label,
+        CONSISTENCY_COLORS[k],
+      ])
+    : styleClasses().map((c) => [c.label, c.color]);
+  const counts = consistency ? null : state.legendCounts;
+  legend.querySelector(".legend-title").textContent = consistency
+    ? "Zoning vs. Future Land Use"
+    : STYLE_MODES[state.styleMode];
+  // group rows double as visibility toggles
+  const toggles = !consistency && state.styleMode === "group";
+  const hidden = state.filters.hiddenGroups;
+  legend.querySelector(".legend-list").innerHTML = entries
+    .map(([label, color], i) => {
+      const c = counts?.[i];
+      const off = toggles && hidden.includes(label);
+      const count = off
+        ? `<span class="legend-count">hidden</span>`
+        : c
+        ? `<span class="legend-count">${c.count.toLocaleString()} · ${c.acres.toLocaleString(
+            undefined,
+            { maximumFractionDigits: 0 }
+          )} ac</span>`
+        : "";
+      if (!toggles)
+        return `
+      <div class="legend-item">
+        <div class="legend-swatch" style="background:${color}"></div>
+        <span class="legend-label">${escapeHtml(label)}</span>${count}
+      </div>`;
+      const group = escapeHtml(label);
+      return `
+      <div class="legend-item interactive${
+        off ? " off" : ""
+      }" data-group="${group}" role="button" tabindex="0" aria-pressed="${!off}" title="${
+        off ? "Show" : "Hide"
+      } ${group}">
+        <div class="legend-swatch" style="background:${color}"></div>
+        <span class="legend-label">${group}</span>${count}
+        <button type="button" class="legend-only" data-only="${group}" title="Show only ${group}" tabindex="-1">only</button>
+      </div>`;
+    })
+    .join("");
+
+  legend.querySelector(".legend-footer").innerHTML = hidden.length
+    ? `${hidden.length} group${
+        hidden.length === 1 ? "" : "s"
+      } hidden · <button type="button" class="legend-show-all">Show all</button>`
+    : "";
+}
+
+function toggleGroup(group) {
+  const hidden = state.filters.hiddenGroups;
+  setHiddenGroups(
+    hidden.includes(group)
+      ? hidden.filter((g) => g !== group)
+      : [...hidden, group]
+  );
+}
+
+// Show only `group`; isolating the group that is already alone shows all
+function isolateGroup(group) {
+  const others = Object.keys(colors).filter((g) => g !== group);
+  const isolated =
+    state.filters.hiddenGroups.length === others.length &&
+    others.every((g) => state.filters.hiddenGroups.includes(g));
+  setHiddenGroups(isolated ? [] : others);
+}
+
+function setHiddenGroups(groups) {
+  state.filters.hiddenGroups = groups;
+  renderLegend();
+  applyAllFilters();
+}
+
+function setLegendStatus(text) {
+  const el = document.querySelector(".map-legend .legend-status");
+  if (el) el.textContent = text;
+}
+
+// --- Zoning fill color
+// Thematic styles. Each mode is a list of classes { label, color, filter };
+// a district takes the first class whose filter matches, and the last class
+// catches the rest. The same filters color the layer (a "case" expression)
+// and count the visible districts for the legend (compileFilter), so the
+// legend always describes what is drawn.
+const STYLE_MODES = {
+  group: "Zoning Categories",
+  year: "Rezoning Year",
+  size: "Parcel Size",
+  code: "Zoning Code",
+  age: "Years Since Last Change",
+};
+const YEAR_STYLE_BREAKS = [1980, 1990, 2000, 2010, 2020];
+const SIZE_STYLE_BREAKS = [1, 5, 20, 100, 500]; // acres
+const AGE_STYLE_BREAKS = [2, 5, 10, 20, 40]; // years
+// Sequential ramps, light-to-dark order matching the breaks above
+const STYLE_RAMPS = {
+  year: ["#440154", "#414487", "#2a788e", "#22a884", "#7ad151", "#fde725"],
+  size: ["#ffffb2", "#fed976", "#feb24c", "#fd8d3c", "#f03b20", "#bd0026"],
+  age: ["#fde725", "#7ad151", "#22a884", "#2a788e", "#414487", "#440154"],
+};
+const STYLE_NO_DATA_COLOR = "#3a4060";
+const MS_PER_YEAR = 365.25 * 24 * 3600 * 1000;
+
+function styleClasses(mode = state.styleMode) {
+  if (mode === "year") return yearStyleClasses();
+  if (mode === "size") return sizeStyleClasses();
+  if (mode === "code") return codeStyleClasses();
+  if (mode === "age") return ageStyleClasses();
+  return Object.entries(colors).map(([group, color]) => ({
+    label: group,
+    color,
+    filter: group === "Other" ? true : ["==", ["get", FIELDS.group], group],
+  }));
+}
+
+// epoch ms of the first selected date that is set, else 0
+function firstDateExpression(fields) {
+  const ms = (field) => ["to-number", ["get", field], 0];
+  return [
+    "case",
+    ...fields.flatMap((field) => [["!=", ms(field), 0], ms(field)]),
+    0,
+  ];
+}
+
+function yearStyleClasses() {
+  const date = firstDateExpression(activeDateFields());
+  const ramp = STYLE_RAMPS.year;
+  const breaks = YEAR_STYLE_BREAKS.map((y) => Date.UTC(y, 0, 1));
+  return [
+    { label: "Undated", color: STYLE_NO_DATA_COLOR, filter: ["==", date, 0] },
+    ...breaks.map((ms, i) => ({
+      label:
+        i === 0
+          ? `Before ${YEAR_STYLE_BREAKS[0]}`
+          : `${YEAR_STYLE_BREAKS[i - 1]}–${YEAR_STYLE_BREAKS[i] - 1}`,
+      color: ramp[i],
+      filter: ["<", date, ms],
+    })),
+    {
+      label: `${YEAR_STYLE_BREAKS[YEAR_STYLE_BREAKS.length - 1]} and later`,
+      color: ramp[breaks.length],
+      filter: true,
+    },
+  ];
+}
+
+function sizeStyleClasses() {
+  const acres = ["to-number", ["coalesce", ["get", FIELDS.acres], 0]];
+  const ramp = STYLE_RAMPS.size;
+  const last = SIZE_STYLE_BREAKS[SIZE_STYLE_BREAKS.length - 1];
+  return [
+    ...SIZE_STYLE_BREAKS.map((max, i) => ({
+      label:
+        i === 0 ? `Under ${max} ac` : `${SIZE_STYLE_BREAKS[i - 1]}–${max} ac`,
+      color: ramp[i],
+      filter: ["<", acres, max],
+    })),
+    {
+      label: `${last}+ ac`,
+      color: ramp[SIZE_STYLE_BREAKS.length],
+      filter: true,
+    },
+  ];
+}
+
+// Top codes are re-ranked from the visible districts (updateLegendCounts)
+function codeStyleClasses() {
+  return [
+    ...state.styleCodes.map((code, i) => ({
+      label: code,
+      color: codeColor(i),
+      filter: ["==", ["to-string", ["get", FIELDS.code]], code],
+    })),
+    {
+      label: state.styleCodes.length ? "Other codes" : "All codes",
+      color: STYLE_NO_DATA_COLOR,
+      filter: true,
+    },
+  ];
+}
+
+// Age of the latest selected date, relative to when the style was applied
+function ageStyleClasses() {
+  const fields = activeDateFields();
+  const latest = [
+    "max",
+    ...fields.map((field) => ["to-number", ["get", field], 0]),
+  ];
+  const now = Date.now();
+  const ramp = STYLE_RAMPS.age;
+  const last = AGE_STYLE_BREAKS[AGE_STYLE_BREAKS.length - 1];
+  return [
+    { label: "Undated", color: STYLE_NO_DATA_COLOR, filter: ["==", latest, 0] },
+    ...AGE_STYLE_BREAKS.map((years, i) => ({
+      label:
+        i === 0
+          ? `Under ${years} yrs`
+          : `${AGE_STYLE_BREAKS[i - 1]}–${years} yrs`,
+      color: ramp[i],
+      filter: [">=", latest, now - years * MS_PER_YEAR],
+    })),
+    {
+      label: `${last}+ yrs`,
+      color: ramp[AGE_STYLE_BREAKS.length],
+      filter: true,
+    },
+  ];
+}
+
+function styleColorExpression(classes = styleClasses()) {
+  const fallback = classes[classes.length - 1];
+  return [
+    "case",
+    ...classes.slice(0, -1).flatMap((c) => [c.filter, c.color]),
+    fallback.color,
+  ];
+}
+
+function zoningFillColor() {
+  if (!state.consistency.enabled) return styleColorExpression();
+  return [
+    "match",
+    ["coalesce", ["feature-state", "consistency"], "unclassified"],
+    ...Object.entries(CONSISTENCY_COLORS).flat(),
+    CONSISTENCY_COLORS.unclassified,
+  ];
+}
+
+function applyZoningStyle() {
+  if (state.map.getLayer("zoning-fill"))
+    state.map.setPaintProperty("zoning-fill", "fill-color", zoningFillColor());
+  state.legendCounts = null;
+  renderLegend();
+  updateLegendCountsDebounced();
+}
+
+function setStyleMode(mode) {
+  if (state.unavailable.styleModes.includes(mode))
+    mode =
+      Object.keys(STYLE_MODES).find(
+        (m) => !state.unavailable.styleModes.includes(m)
+      ) || mode;
+  state.styleMode = mode;
+  document.getElementById("styleMode").value = mode;
+  applyZoningStyle();
+}
+
+// Per-class counts and acreage of the visible (filtered) districts. In code
+// mode this also re-ranks the codes and restyles when the top list changes.
+async function updateLegendCounts() {
+  if (state.consistency.enabled || !state.map.getLayer("zoning-fill")) return;
+  await whenMapIdle();
+  const features = state.filters.showZoning ? getVisibleFilteredFeatures() : [];
+
+  if (state.styleMode === "code") {
+    const byCode = {};
+    for (const f of features) {
+      const code = (f.properties || {})[FIELDS.code];
+      if (code != null) byCode[code] = (byCode[code] || 0) + 1;
+    }
+    const top = Object.entries(byCode)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, PALETTES[state.palette].codes.length)
+      .map(([code]) => String(code));
+    if (top.join("\u0000") !== state.styleCodes.join("\u0000")) {
+      state.styleCodes = top;
+      state.map.setPaintProperty(
+        "zoning-fill",
+        "fill-color",
+        zoningFillColor()
+      );
+    }
+  }
+
+  const classes = styleClasses();
+  const tests = classes.map((c) => compileFilter(c.filter));
+  const counts = classes.map(() => ({ count: 0, acres: 0 }));
+  for (const f of features) {
+    const p = f.properties || {};
+    const i = tests.findIndex((test) => test(p));
+    if (i === -1) continue;
+    counts[i].count++;
+    counts[i].acres += featureAcres(p);
+  }
+  state.legendCounts = counts;
+  renderLegend();
+}
+
+// --- Palettes
+// i-th color of the active palette's per-code sequence (wraps around)
+function codeColor(i) {
+  const codes = PALETTES[state.palette].codes;
+  return codes[i % codes.length];
+}
+
+// Categories the palette has no color for take its per-code sequence
+function usePalette(name) {
+  state.palette = Object.hasOwn(PALETTES, name) ? name : "default";
+  const palette = PALETTES[state.palette];
+  Object.keys(colors).forEach((group, i) => {
+    colors[group] =
+      palette.groups[group] ?? palette.codes[i % palette.codes.length];
+  });
+}
+
+function applyPalette(name) {
+  usePalette(name);
+  try {
+    localStorage.setItem(PALETTE_STORAGE_KEY, state.palette);
+  } catch (err) {
+    // storage disabled: the choice lasts for this session
+  }
+  applyZoningStyle();
+  if (state.analyticsOpen && state.analyticsSummary)
+    renderAnalyticsSummary(state.analyticsSummary);
+}
+
+function storedPalette() {
+  try {
+    return localStorage.getItem(PALETTE_STORAGE_KEY) || "default";
+  } catch (err) {
+    return "default";
+  }
+}
+
+// --- Zoning vs. Future Land Use consistency
+// FLU designations -> broad policy category: [category, FLUM codes,
+// description pattern]. A code matches the whole designation, optionally
+// followed by a qualifier ("RS 1/5", "PD-LDR", "LDR (0-4 du/ac)"); the
+// pattern matches descriptions ("Low Density Residential"). Codes are tried
+// first, then descriptions in order: the first match wins.
+const FLU_CATEGORY_RULES = [
+  ["Rural", ["R", "RS", "AG", "A"], /rural|agric/i],
+  ["Industrial", ["IND", "I"], /industr/i],
+  [
+    "Mixed Use",
+    ["ACMU", "ACR", "MU", "GC", "V", "NC", "NAC"],
+    /mixed|activity cent|growth cent|village/i,
+  ],
+  ["Commercial", ["C", "COM", "COMM", "O", "OFF"], /commerc|office/i],
+  ["Residential", ["VLDR", "LDR", "LMDR", "MDR", "HDR"], /resid|density/i],
+  ["Planned Development", ["PD"], /planned/i],
+  [
+    "Conservation",
+    ["PR/OS", "PROS", "OS", "CONS", "PRES"],
+    /preserv|conserv|park|recreat|open space|wetland/i,
+  ],
+  ["Institutional", ["INST", "EDU", "PUB"], /institut|public|educat/i],
+];
+
+// FLU category -> zoning groups that are consistent with it. Edit to tune the
+// analysis; Incorporated districts are outside county zoning and never classified.
+const FLU_COMPATIBILITY = {
+  Residential: ["Residential", "Planned Development", "Agricultural"],
+  Commercial: ["Commercial", "Mixed Use", "Planned Development"],
+  Industrial: ["Industrial", "Planned Development"],
+  "Mixed Use": [
+    "Mixed Use",
+    "Commercial",
+    "Residential",
+    "Planned Development",
+  ],
+  Rural: ["Agricultural", "Residential"],
+  "Planned Development": ["Planned Development", "Mixed Use"],
+  Conservation: ["Agricultural", "Other"],
+  Institutional: ["Other", "Planned Development", "Residential"],
+};
+
+// Share of a district's FLU overlap that must be (in)consistent to count as
+// fully (in)consistent; anything in between is "partial".
+const CONSISTENCY_THRESHOLD = 0.9;
+
+const CONSISTENCY_COLORS = {
+  consistent: "#4cc38a",
+  partial: "#ffd86e",
+  inconsistent: "#ff6b6b",
+  unclassified: "#3a3f5c",
+};
+
+const CONSISTENCY_LABELS = {
+  consistent: "Consistent",
+  partial: "Partially consistent",
+  inconsistent: "Inconsistent",
+  unclassified: "Not classified",
+};
+
+function setConsistencyEnabled(enabled) {
+  enabled = enabled && !state.datasetErrors.zoning && !state.datasetErrors.flu;
+  state.consistency.enabled = enabled;
+  document.getElementById("toggleConsistency").checked = enabled;
+  if (state.map.getLayer("flu-analysis"))
+    state.map.setLayoutProperty(
+      "flu-analysis",
+      "visibility",
+      enabled ? "visible" : "none"
+    );
+  applyZoningStyle();
+  document.getElementById("styleMode").disabled = enabled;
+  if (enabled) {
+    // wait for FLU tiles (vector) before the first pass
+    state.map.once("idle", runConsistencyAnalysis);
+    state.map.triggerRepaint();
+  }
+  updateAnalyticsDebounced();
+}
+
+function featureId(f) {
+  return f.id ?? (f.properties || {})[FIELDS.id] ?? null;
+}
+
+function fluCategory(props) {
+  const designation = fluDesignation(props);
+  if (!designation) return null;
+  const code = designation
+    .trim()
+    .toUpperCase()
+    .split(/[\s(-]/)[0];
+  const rule =
+    FLU_CATEGORY_RULES.find(([, codes]) => codes.includes(code)) ||
+    FLU_CATEGORY_RULES.find(([, , words]) => words.test(designation));
+  return rule ? rule[0] : null;
+}
+
+// true/false for a known pairing, null when it can't be judged
+function isConsistentPair(zoningGroup, fluCat) {
+  if (!fluCat || zoningGroup === "Incorporated") return null;
+  return (FLU_COMPATIBILITY[fluCat] || []).includes(zoningGroup);
+}
+
+const runConsistencyDebounced = debounce(runConsistencyAnalysis, 300);
+
+// Analyze districts without a cached result. Vector mode works on the
+// districts in the loaded tiles, stitched from their pieces, and analyzes a
+// district again once more of it has loaded (see coverageGrew); GeoJSON mode
+// on the whole dataset, once (from the data worker).
+async function runConsistencyAnalysis() {
+  const c = state.consistency;
+  if (!c.enabled || c.analyzedAll) return;
+  if (c.running) {
+    c.pending = true;
+    return;
+  }
+  c.running = true;
+  try {
+    const zoning = (await collectZoningForConsistency()).filter((f) => {
+      const id = featureId(f);
+      return id != null && coverageGrew(c.results.get(id), f.coverage);
+    });
+    const coverage = new Map(zoning.map((f) => [featureId(f), f.coverage]));
+    if (zoning.length) {
+      const index = await getFluIndex(zoning);
+      const results = await analyzeConsistency(zoning, index, (done) =>
+        setLegendStatus(`Analyzing… ${Math.round(done * 100)}%`)
+      );
+      for (const [id, r] of results) {
+        c.results.set(id, { ...r, coverage: coverage.get(id) });
+        setZoningFeatureState(id, { consistency: r.status });
+      }
+    }
+    c.analyzedAll = state.zoningMode === "geojson";
+  } catch (e) {
+    console.error(e);
+    showNotification("Consistency analysis failed", "error");
+  } finally {
+    c.running = false;
+    setLegendStatus("");
+  }
+  updateAnalyticsDebounced();
+  if (c.pending) {
+    c.pending = false;
+    runConsistencyAnalysis();
+  }
+}
+
+async function collectZoningForConsistency() {
+  if (state.zoningMode === "geojson")
+    return workerRequest("search", { name: "zoning" });
+  // one feature per district, its geometry the union of its loaded pieces
+  // (which also drops the overlap of tile buffers)
+  const groups = new Map();
+  for (const piece of state.map.querySourceFeatures("zoning", {
+    sourceLayer: DATASETS.zoning.sourceLayer,
+  })) {
+    const id = featureId(piece);
+    if (id == null) continue;
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(piece);
+  }
+  const zoom = Math.min(
+    Math.floor(state.map.getZoom()),
+    state.map.getSource("zoning").maxzoom
+  );
+  return [...groups.values()].map((pieces) => {
+    const feature = mergePieceGroup(pieces);
+    feature.coverage = {
+      zoom,
+      pieces: pieces.length,
+      bbox: turf.bbox(turf.featureCollection(pieces)),
+    };
+    return feature;
+  });
+}
+
+// Whether a district has more loaded than when it was last analyzed: more
+// detail (a deeper tile zoom), more tiles at the same zoom, or pieces outside
+// the analyzed extent. Less (panned or zoomed out) keeps the result.
+// GeoJSON districts are whole: no coverage, analyzed once.
+function coverageGrew(cached, coverage) {
+  if (!cached) return true;
+  if (!coverage || !cached.coverage) return false;
+  const was = cached.coverage;
+  if (coverage.zoom !== was.zoom) return coverage.zoom > was.zoom;
+  const [w, s, e, n] = coverage.bbox;
+  const [cw, cs, ce, cn] = was.bbox;
+  return coverage.pieces > was.pieces || w < cw || s < cs || e > ce || n > cn;
+}
+
+// FLU polygons around the districts to analyze, indexed by bbox
+async function getFluIndex(zoningFeatures) {
+  if (state.zoningMode === "geojson") {
+    const bbox = turf.bbox(turf.featureCollection(zoningFeatures));
+    return buildBboxIndex(await workerRequest("search", { name: "flu", bbox }));
+  }
+  // tiles repeat a polygon in their buffers: stitched per feature, so no
+  // overlap is counted twice
+  return buildBboxIndex(
+    mergeFeaturePieces(
+      state.map.querySourceFeatures("flu", {
+        sourceLayer: DATASETS.flu.sourceLayer,
+      })
+    )
+  );
+}
+
+function setZoningFeatureState(id, value) {
+  const target = { source: "zoning", id };
+  if (state.zoningMode === "vector")
+    target.sourceLayer = DATASETS.zoning.sourceLayer;
+  state.map.setFeatureState(target, value);
+}
+
+// Spatial join: overlap area of each district with FLU polygons, split into
+// consistent vs. inconsistent by FLU_COMPATIBILITY.
+async function analyzeConsistency(zoningFeatures, fluIndex, onProgress) {
+  const acc = new Map();
+  for (let i = 0; i < zoningFeatures.length; i++) {
+    if (i % 200 === 0) {
+      onProgress?.(i / zoningFeatures.length);
+      await new Promise((r) => setTimeout(r, 0)); // keep the UI responsive
+    }
+    const z = zoningFeatures[i];
+    const id = featureId(z);
+    if (!z.geometry) continue;
+    const group = (z.properties || {})[FIELDS.group] || "Other";
+    const entry = acc.get(id) || {
+      consistent: 0,
+      total: 0,
+      designations: new Set(),
+    };
+    acc.set(id, entry);
+
+    for (const flu of fluIndex.search(turf.bbox(z))) {
+      const ok = isConsistentPair(group, fluCategory(flu.properties || {}));
+      if (ok === null) continue;
+      let overlap = null;
+      try {
+        overlap = turf.intersect(z, flu);
+      } catch {
+        continue; // invalid geometry on either side
+      }
+      if (!overlap) continue;
+      const area = turf.area(overlap);
+      entry.total += area;
+      if (ok) entry.consistent += area;
+      entry.designations.add(fluDesignation(flu.properties));
+    }
+  }
+
+  const out = new Map();
+  for (const [id, e] of acc) {
+    const share = e.total ? e.consistent / e.total : null;
+    let status = "unclassified";
+    if (share != null) {
+      if (share >= CONSISTENCY_THRESHOLD) status = "consistent";
+      else if (share <= 1 - CONSISTENCY_THRESHOLD) status = "inconsistent";
+      else status = "partial";
+    }
+    out.set(id, { status, share, designations: [...e.designations] });
+  }
+  return out;
+}
+
+// Uniform grid over feature bboxes; good enough for county-sized joins
+function buildBboxIndex(features, cellSize = 0.02) {
+  const cells = new Map();
+  const items = [];
+  for (const f of features) {
+    if (!f.geometry) continue;
+    const bbox = turf.bbox(f);
+    const idx = items.push({ f, bbox }) - 1;
+    for (
+      let x = Math.floor(bbox[0] / cellSize);
+      x <= Math.floor(bbox[2] / cellSize);
+      x++
+    ) {
+      for (
+        let y = Math.floor(bbox[1] / cellSize);
+        y <= Math.floor(bbox[3] / cellSize);
+        y++
+      ) {
+        const key = `${x}:${y}`;
+        if (!cells.has(key)) cells.set(key, []);
+        cells.get(key).push(idx);
+      }
+    }
+  }
+  return {
+    search(b) {
+      const seen = new Set();
+      const out = [];
+      for (
+        let x = Math.floor(b[0] / cellSize);
+        x <= Math.floor(b[2] / cellSize);
+        x++
+      ) {
+        for (
+          let y = Math.floor(b[1] / cellSize);
+          y <= Math.floor(b[3] / cellSize);
+          y++
+        ) {
+          for (const idx of cells.get(`${x}:${y}`) || []) {
+            if (seen.has(idx)) continue;
+            seen.add(idx);
+            const ib = items[idx].bbox;
+            if (
+              ib[0] <= b[2] &&
+              ib[2] >= b[0] &&
+              ib[1] <= b[3] &&
+              ib[3] >= b[1]
+            )
+              out.push(items[idx].f);
+          }
+        }
+      }
+      return out;
+    },
+  };
+}
+
+// Copies of features with the consistency result folded into properties
+function withConsistencyFields(features) {
+  return features.map((f) => {
+    const r = state.consistency.results.get(featureId(f));
+    return {
+      type: "Feature",
+      id: f.id,
+      geometry: f.geometry,
+      properties: {
+        ...(f.properties || {}),
+        flu_consistency: r ? r.status : "not analyzed",
+        flu_consistent_pct:
+          r && r.share != null ? Math.round(r.share * 1000) / 10 : null,
+        flu_designations: r ? r.designations.join("; ") : null,
+      },
+    };
+  });
+}
+
+// --- Drawing tools (area-scoped analytics & export)
+const DRAW_TOOLS = [
+  { mode: "polygon", icon: "⬠", title: "Draw polygon" },
+  { mode: "rectangle", icon: "▭", title: "Draw rectangle" },
+  { mode: "circle", icon: "◯", title: "Draw circle by radius" },
+  { mode: "clear", icon: "✕", title: "Clear drawn area" },
+];
+
+const DRAW_HINTS = {
+  polygon:
+    "Click to add vertices; double-click or click the first point to finish. Esc cancels.",
+  rectangle: "Click one corner, then the opposite corner. Esc cancels.",
+  circle:
+    "Click the center, then click again at the desired radius. Esc cancels.",
+};
+
+function addDrawTools() {
+  state.map.addControl(
+    {
+      onAdd() {
+        const container = document.createElement("div");
+        container.className =
+          "maplibregl-ctrl maplibregl-ctrl-group draw-control";
+        container.innerHTML = DRAW_TOOLS.map(
+          (t) =>
+            `<button type="button" data-draw="${t.mode}" title="${t.title}" aria-label="${t.title}">${t.icon}</button>`
+        ).join("");
+        container.addEventListener("click", (e) => {
+          const btn = e.target.closest("button[data-draw]");
+          if (!btn) return;
+          if (btn.dataset.draw === "clear") clearDrawnArea();
+          else startDrawing(btn.dataset.draw);
+        });
+        return container;
+      },
+      onRemove() {},
+    },
+    "top-right"
+  );
+
+  state.map.addSource("draw", {
+    type: "geojson",
+    data: { type: "FeatureCollection", features: [] },
+  });
+  state.map.addLayer({
+    id: "draw-fill",
+    type: "fill",
+    source: "draw",
+    filter: ["==", ["geometry-type"], "Polygon"],
+    paint: { "fill-color": "#ffd86e", "fill-opacity": 0.08 },
+  });
+  state.map.addLayer({
+    id: "draw-line",
+    type: "line",
+    source: "draw",
+    paint: {
+      "line-color": "#ffd86e",
+      "line-width": 2,
+      "line-dasharray": [2, 1],
+    },
+  });
+
+  state.map.on("click", onDrawClick);
+  state.map.on("mousemove", onDrawMove);
+  state.map.on("dblclick", onDrawDoubleClick);
+}
+
+function startDrawing(mode) {
+  stopDrawing();
+  state.draw.mode = mode;
+  state.draw.points = [];
+  state.map.doubleClickZoom.disable();
+  state.map.getCanvas().style.cursor = "crosshair";
+  setDrawHint(DRAW_HINTS[mode]);
+  document
+    .querySelectorAll(".draw-control button")
+    .forEach((b) => b.classList.toggle("active", b.dataset.draw === mode));
+}
+
+// Leave drawing mode; a previously finished shape stays in place
+function stopDrawing() {
+  state.draw.mode = null;
+  state.draw.points = [];
+  state.map.doubleClickZoom.enable();
+  state.map.getCanvas().style.cursor = "";
+  setDrawHint("");
+  document
+    .querySelectorAll(".draw-control button")
+    .forEach((b) => b.classList.remove("active"));
+  renderDrawSource(state.draw.shape ? [state.draw.shape] : []);
+}
+
+function clearDrawnArea() {
+  state.draw.shape = null;
+  if (state.analyticsScope === "area") state.analyticsScope = "viewport";
+  stopDrawing();
+  updateAnalyticsDebounced();
 }
 
-const applyAllFiltersDebounced = debounce(applyAllFilters, 100);
-const updateAnalyticsDebounced = debounce(updateAnalyticsFromMapView, 120);
+function onDrawClick(e) {
+  const d = state.draw;
+  if (!d.mode) return;
+  const pt = e.lngLat.toArray();
 
-function updateLayerFilters() {
-  // Group filter
-  const groupExpr =
-    state.filters.group === "ALL"
-      ? true
-      : ["==", ["get", "z_group"], state.filters.group];
-
-  // Area (acres)
-  const areaExpr = [
-    "all",
-    [
-      ">=",
-      ["to-number", ["coalesce", ["get", "area_acres"], 0]],
-      state.filters.areaMin,
-    ],
-    [
-      "<=",
-      ["to-number", ["coalesce", ["get", "area_acres"], 0]],
-      state.filters.areaMax,
-    ],
-  ];
+  if (d.mode === "polygon") {
+    const last = d.points[d.points.length - 1];
+    // the two clicks of a double-click land on the same spot
+    if (last && pixelDistance(last, e.point) < 4) return;
+    if (d.points.length >= 3 && pixelDistance(d.points[0], e.point) < 8) {
+      finishDrawing(turf.polygon([[...d.points, d.points[0]]]));
+      return;
+    }
+    d.points.push(pt);
+    renderDrawPreview(pt);
+    return;
+  }
+
+  if (!d.points.length) {
+    d.points.push(pt);
+    renderDrawPreview(pt);
+  } else {
+    finishDrawing(buildDrawShape(d.mode, d.points[0], pt));
+  }
+}
+
+function onDrawMove(e) {
+  const d = state.draw;
+  if (!d.mode || !d.points.length) return;
+  const pt = e.lngLat.toArray();
+  renderDrawPreview(pt);
+  if (d.mode === "circle") {
+    const feet = turf.distance(d.points[0], pt, { units: "feet" });
+    setDrawHint(
+      `Radius: ${
+        feet >= 5280
+          ? `${(feet / 5280).toFixed(2)} mi`
+          : `${Math.round(feet).toLocaleString()} ft`
+      } — click to finish`
+    );
+  }
+}
+
+function onDrawDoubleClick(e) {
+  const d = state.draw;
+  if (d.mode !== "polygon") return;
+  e.preventDefault();
+  if (d.points.length >= 3)
+    finishDrawing(turf.polygon([[...d.points, d.points[0]]]));
+}
+
+function buildDrawShape(mode, a, b) {
+  if (mode === "rectangle") {
+    return turf.bboxPolygon([
+      Math.min(a[0], b[0]),
+      Math.min(a[1], b[1]),
+      Math.max(a[0], b[0]),
+      Math.max(a[1], b[1]),
+    ]);
+  }
+  const radius = turf.distance(a, b, { units: "kilometers" });
+  return turf.circle(a, Math.max(radius, 0.001), {
+    steps: 64,
+    units: "kilometers",
+  });
+}
+
+function renderDrawPreview(cursor) {
+  const d = state.draw;
+  if (d.mode === "polygon") {
+    const ring = [...d.points, cursor];
+    const preview = [
+      turf.lineString(ring.length > 1 ? ring : [cursor, cursor]),
+    ];
+    if (ring.length >= 3) preview.push(turf.polygon([[...ring, ring[0]]]));
+    renderDrawSource(preview);
+  } else {
+    renderDrawSource([buildDrawShape(d.mode, d.points[0], cursor)]);
+  }
+}
+
+function renderDrawSource(features) {
+  state.map.getSource("draw")?.setData({ type: "FeatureCollection", features });
+}
 
-  // Search across fields (substring)
-  const term = (state.filters.search || "").toLowerCase();
-  const searchFields = ["ZONING", "z_group", "PD_NAME", "ZONINGOLD"];
-  const searchExpr =
-    term.length === 0
-      ? true
-      : [
-          "any",
-          ...searchFields.map((f) => [
-            "all",
-            ["has", f],
-            [
-              "!=",
-              ["index-of", term, ["downcase", ["to-string", ["get", f]]]],
-              -1,
-            ],
-          ]),
-        ];
-
-  // Year filter
-  const [minMs, maxMs] = yearRangeToMs(
-    state.filters.yearMin,
-    state.filters.yearMax
+function finishDrawing(shape) {
+  // intersections with a crossing outline fail or come out wrong: redraw
+  if (turf.kinks(shape).features.length) {
+    startDrawing(state.draw.mode);
+    showNotification(
+      "The outline crosses itself. Draw the area again without crossing lines.",
+      "error"
+    );
+    return;
+  }
+  state.draw.shape = shape;
+  state.analyticsScope = "area";
+  stopDrawing();
+  state.map.fitBounds(turf.bbox(shape), { padding: 60, maxZoom: 17 });
+  updateAnalyticsDebounced();
+  showNotification(
+    state.analyticsOpen
+      ? "Analytics scoped to the drawn area"
+      : "Area drawn: Analytics and Export now use this area",
+    "info"
   );
-  const numericYearExpr = [
-    "any",
-    [
-      "all",
-      [">=", ["to-number", ["get", "BCC_DATE"]], minMs],
-      ["<=", ["to-number", ["get", "BCC_DATE"]], maxMs],
-    ],
-    [
-      "all",
-      [">=", ["to-number", ["get", "P_Z_DATE"]], minMs],
-      ["<=", ["to-number", ["get", "P_Z_DATE"]], maxMs],
-    ],
-    [
-      "all",
-      [">=", ["to-number", ["get", "MAINT_DATE"]], minMs],
-      ["<=", ["to-number", ["get", "MAINT_DATE"]], maxMs],
-    ],
-    [
-      "all",
-      ["!", ["has", "BCC_DATE"]],
-      ["!", ["has", "P_Z_DATE"]],
-      ["!", ["has", "MAINT_DATE"]],
-    ],
-  ];
+}
 
-  const finalExpr = ["all", groupExpr, areaExpr, searchExpr, numericYearExpr];
+function pixelDistance(lngLat, point) {
+  const p = state.map.project(lngLat);
+  return Math.hypot(p.x - point.x, p.y - point.y);
+}
 
-  // Apply to both fill + border
-  safeSetFilter("zoning-fill", finalExpr);
-  safeSetFilter("zoning-border", finalExpr);
+function setDrawHint(text) {
+  let hint = document.querySelector(".draw-hint");
+  if (!hint) {
+    hint = document.createElement("div");
+    hint.className = "draw-hint";
+    document.getElementById("map").appendChild(hint);
+  }
+  hint.textContent = text;
+  hint.style.display = text ? "block" : "none";
 }
 
-function yearRangeToMs(yMin, yMax) {
-  const min = Date.UTC(yMin, 0, 1, 0, 0, 0, 0);
-  const max = Date.UTC(yMax, 11, 31, 23, 59, 59, 999);
-  return [min, max];
+// Filtered features intersecting the drawn shape, each carrying clipped_acres
+// (its area_acres scaled by the share of its geometry inside the shape).
+// Whole features in both modes: vector mode reads the full archive (see
+// loadFullVectorDataset), so the result doesn't depend on the view or zoom.
+async function getFeaturesInDrawnArea() {
+  const shape = state.draw.shape;
+  const [w, s, e, n] = turf.bbox(shape);
+  const candidates =
+    state.zoningMode === "geojson"
+      ? await workerRequest("search", {
+          name: "zoning",
+          bbox: [w, s, e, n],
+          filter: buildFilterExpression(),
+        })
+      : filterGeoJSONFeatures(await loadFullVectorDataset());
+
+  const out = [];
+  for (const f of candidates) {
+    if (!f.geometry) continue;
+    const b = turf.bbox(f);
+    if (b[0] > e || b[2] < w || b[1] > n || b[3] < s) continue;
+    let inside = 0;
+    try {
+      const clip = turf.intersect(f, shape);
+      if (clip) inside = turf.area(clip);
+    } catch (err) {
+      // the drawn shape is valid (finishDrawing), so this district isn't
+      console.warn("Skipping a district with invalid geometry", err);
+      continue;
+    }
+    const total = turf.area(f);
+    if (!inside || !total) continue;
+    const acres = Number(f.properties[FIELDS.acres] || 0) * (inside / total);
+    // a copy: the vector dataset is cached and shared
+    out.push({
+      ...f,
+      properties: {
+        ...f.properties,
+        clipped_acres: Math.round(acres * 100) / 100,
+      },
+    });
+  }
+  return out;
 }
 
-function safeSetFilter(layerId, expr) {
-  if (state.map.getLayer(layerId)) {
-    state.map.setFilter(layerId, expr);
+// --- Picked districts (analytics selection scope)
+// Shift-click adds a district to the selection or removes it; the outline
+// follows through feature-state
+function togglePickedAtPoint(point) {
+  if (!state.map.getLayer("zoning-fill")) return;
+  const [hit] = state.map.queryRenderedFeatures(point, {
+    layers: ["zoning-fill"],
+  });
+  const id = hit && featureId(hit);
+  if (id == null) return;
+  const picked = !state.picked.has(id);
+  if (picked) state.picked.set(id, { ...hit.properties });
+  else state.picked.delete(id);
+  setZoningFeatureState(id, { picked });
+  if (picked && state.analyticsScope !== "selection") {
+    state.analyticsScope = "selection";
+    showNotification(
+      "Analytics scoped to the selected districts (shift-click to add or remove)",
+      "info"
+    );
   }
+  updateAnalyticsDebounced();
 }
 
-// --- Selection
-function selectFeature(feature) {
-  if (!feature) return;
-  const props = feature.properties || {};
+function clearPicked() {
+  for (const id of state.picked.keys())
+    setZoningFeatureState(id, { picked: false });
+  state.picked.clear();
+  updateAnalyticsDebounced();
+}
 
-  const existingPanel = document.querySelector('[data-panel="zoning-info"]');
-  if (existingPanel) existingPanel.remove();
+// --- Notification buffer report
+const BUFFER_PRESETS_FT = [300, 500, 1000, 1500, 2640];
+function bufferReportFields() {
+  return [FIELDS.id, FIELDS.code, FIELDS.group, FIELDS.pdName, FIELDS.acres];
+}
 
-  const infoPanel = document.createElement("div");
-  infoPanel.setAttribute("data-panel", "zoning-info");
-  infoPanel.style.cssText = `
-    position: absolute; top: 20px; right: 20px;
-    background: rgba(22, 26, 46, 0.95); color: #e9edf5; padding: 20px;
-    border-radius: 12px; border: 1px solid #2a3152; font-size: 14px; z-index: 1000;
-    box-shadow: 0 8px 32px rgba(0,0,0,0.5); max-width: 420px; max-height: 80vh; overflow-y: auto;
-    backdrop-filter: blur(4px);
+// Distance picker + button appended to the zoning info panel
+function createBufferControls(feature) {
+  const wrap = document.createElement("div");
+  wrap.style.cssText = `
+    margin-top:16px; padding-top:12px; border-top:1px solid #2a3152;
+    display:flex; gap:8px; align-items:center; flex-wrap:wrap; font-size:12px;
   `;
-
-  const header = document.createElement("div");
-  header.style.cssText = `
-    display:flex; justify-content:space-between; align-items:center; padding:16px 20px;
-    background: linear-gradient(135deg, #6aa6ff, #7ad0c9); color: white;
-    border-radius: 8px 8px 0 0; margin: -20px -20px 20px -20px;
+  wrap.innerHTML = `
+    <label style="color:#9aa3b2;display:flex;align-items:center;gap:6px;">
+      Notice buffer
+      <input type="number" min="1" step="50" value="500" list="bufferPresets"
+        style="width:80px;padding:4px 6px;background:#0f1222;color:#e9edf5;border:1px solid #2a3152;border-radius:4px;">
+      ft
+    </label>
+    <datalist id="bufferPresets">
+      ${BUFFER_PRESETS_FT.map((ft) => `<option value="${ft}"></option>`).join(
+        ""
+      )}
+    </datalist>
+    <button type="button" style="padding:6px 10px;background:#6aa6ff;color:white;border:none;border-radius:4px;cursor:pointer;">📏 Buffer report</button>
   `;
+  const input = wrap.querySelector("input");
+  wrap.querySelector("button").onclick = () =>
+    runBufferReport(feature, Number(input.value));
+  return wrap;
+}
 
-  const title = document.createElement("h3");
-  title.textContent = "📍 Zoning Information";
-  title.style.cssText = `margin:0; font-size:16px; font-weight:600;`;
+async function runBufferReport(subject, feet) {
+  if (!(feet > 0)) {
+    showNotification("Enter a buffer distance in feet", "error");
+    return;
+  }
+  const site = await getFullFeature(subject);
+  let buffer;
+  try {
+    buffer = turf.buffer(site, feet, { units: "feet" });
+  } catch (err) {
+    console.error(err);
+    showNotification("Could not buffer this geometry", "error");
+    return;
+  }
 
-  const closeBtn = document.createElement("button");
-  closeBtn.textContent = "×";
-  closeBtn.style.cssText = `
-    background:none; border:none; color:white; font-size:20px; cursor:pointer; padding:0;
-    width:24px; height:24px; display:flex; align-items:center; justify-content:center; border-radius:4px;
-  `;
-  closeBtn.onclick = () => infoPanel.remove();
+  // bring the whole buffer on screen so vector tiles for it are loaded
+  state.map.fitBounds(turf.bbox(buffer), { padding: 60, maxZoom: 17 });
+  await whenMapIdle();
 
-  header.appendChild(title);
-  header.appendChild(closeBtn);
-  infoPanel.appendChild(header);
+  const hits = await findZoningIntersecting(buffer, featureKey(subject));
+  renderBufferLayers(buffer, hits);
+  showBufferReport(site, feet, hits);
+}
 
-  infoPanel.insertAdjacentHTML(
-    "beforeend",
-    `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#6aa6ff;font-weight:bold;">Zoning Code:</span>
-      <span style="color:#e9edf5;font-weight:bold;"> ${
-        props.ZONING || "—"
-      }</span>
+// Every zoning district (ignoring filters) touching `area`, with whole
+// geometries; `excludeKey` drops the subject district itself.
+async function findZoningIntersecting(area, excludeKey) {
+  const [w, s, e, n] = turf.bbox(area);
+  const candidates =
+    state.zoningMode === "geojson"
+      ? await workerRequest("search", { name: "zoning", bbox: [w, s, e, n] })
+      : state.map.querySourceFeatures("zoning", {
+          sourceLayer: DATASETS.zoning.sourceLayer,
+        });
+
+  const pieces = new Map();
+  for (const f of candidates) {
+    if (!f.geometry) continue;
+    const key = featureKey(f);
+    if (key === excludeKey) continue;
+    if (!pieces.has(key)) pieces.set(key, []);
+    pieces.get(key).push(f);
+  }
+
+  const hits = [];
+  for (const group of pieces.values()) {
+    const touches = group.some((f) => {
+      const b = turf.bbox(f);
+      if (b[0] > e || b[2] < w || b[1] > n || b[3] < s) return false;
+      try {
+        return turf.booleanIntersects(f, area);
+      } catch {
+        return false;
+      }
+    });
+    if (touches) hits.push(unionPieces(group));
+  }
+  return hits.sort((a, b) =>
+    String(a.properties[FIELDS.code] || "").localeCompare(
+      String(b.properties[FIELDS.code] || "")
+    )
+  );
+}
+
+// Whole geometry for a clicked feature: the source feature in GeoJSON mode,
+// the union of its loaded tile pieces in vector mode
+async function getFullFeature(f) {
+  const id = featureId(f);
+  if (id == null) return unionPieces([f]);
+  if (state.zoningMode === "geojson") {
+    const src = await workerRequest("get", {
+      name: "zoning",
+      featureId: id,
+    });
+    return src || unionPieces([f]);
+  }
+  const pieces = state.map.querySourceFeatures("zoning", {
+    sourceLayer: DATASETS.zoning.sourceLayer,
+    filter: ["==", ["get", FIELDS.id], id],
+  });
+  return unionPieces(pieces.length ? pieces : [f]);
+}
+
+// Plain GeoJSON feature from one or more pieces of the same feature
+function unionPieces(pieces) {
+  const first = pieces[0];
+  let geometry = first.geometry;
+  for (const piece of pieces.slice(1)) {
+    try {
+      geometry =
+        turf.union(turf.feature(geometry), piece)?.geometry || geometry;
+    } catch {
+      // keep what we have; a bad piece shouldn't sink the whole feature
+    }
+  }
+  return {
+    type: "Feature",
+    id: first.id,
+    geometry,
+    properties: { ...(first.properties || {}) },
+  };
+}
+
+function renderBufferLayers(buffer, hits) {
+  const data = {
+    type: "FeatureCollection",
+    features: [
+      { ...buffer, properties: { role: "buffer" } },
+      ...hits.map((f) => ({ ...f, properties: { role: "hit" } })),
+    ],
+  };
+  const source = state.map.getSource("buffer");
+  if (source) {
+    source.setData(data);
+    return;
+  }
+  state.map.addSource("buffer", { type: "geojson", data });
+  state.map.addLayer({
+    id: "buffer-zone",
+    type: "line",
+    source: "buffer",
+    filter: ["==", ["get", "role"], "buffer"],
+    paint: {
+      "line-color": "#ffb057",
+      "line-width": 2,
+      "line-dasharray": [3, 2],
+    },
+  });
+  state.map.addLayer({
+    id: "buffer-hits",
+    type: "line",
+    source: "buffer",
+    filter: ["==", ["get", "role"], "hit"],
+    paint: { "line-color": "#ffffff", "line-width": 2.5 },
+  });
+}
+
+function clearBufferReport() {
+  document.querySelector('[data-panel="buffer-report"]')?.remove();
+  state.map
+    .getSource("buffer")
+    ?.setData({ type: "FeatureCollection", features: [] });
+}
+
+function showBufferReport(site, feet, hits) {
+  document.querySelector('[data-panel="buffer-report"]')?.remove();
+  const sp = site.properties || {};
+  const totalAcres = hits.reduce(
+    (sum, f) => sum + Number(f.properties[FIELDS.acres] || 0),
+    0
+  );
+  const filenameBase = `buffer_${feet}ft_${String(sp[FIELDS.code] || "site")
+    .replace(/[^a-z0-9]+/gi, "_")
+    .toLowerCase()}`;
+
+  const panel = document.createElement("div");
+  panel.setAttribute("data-panel", "buffer-report");
+  panel.style.cssText = `
+    position: absolute; bottom: 20px; left: 20px;
+    background: rgba(22, 26, 46, 0.95); color: #e9edf5; padding: 16px;
+    border-radius: 12px; border: 1px solid #2a3152; font-size: 12px; z-index: 1000;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.5); width: min(520px, calc(100% - 40px));
+    max-height: 45vh; display: flex; flex-direction: column; backdrop-filter: blur(4px);
+  `;
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:15px;color:#ffb057;">📏 ${feet.toLocaleString()} ft Buffer Report</h3>
+      <button data-action="close" aria-label="Close buffer report" style="background:none;border:none;color:#e9edf5;font-size:20px;cursor:pointer;">×</button>
     </div>
-    <div style="margin-bottom: 12px;">
-      <span style="color:#7ad0c9;font-weight:bold;">Category:</span>
-      <span style="color:#e9edf5;font-weight:bold;"> ${
-        props.z_group || "—"
-      }</span>
+    <div style="color:#9aa3b2;margin-bottom:8px;">
+      Subject: <strong style="color:#e9edf5;">${escapeHtml(
+        sp[FIELDS.code] || "—"
+      )}${
+    sp[FIELDS.pdName] ? ` — ${escapeHtml(sp[FIELDS.pdName])}` : ""
+  }</strong><br>
+      ${hits.length.toLocaleString()} district(s) within ${feet.toLocaleString()} ft
+      (${totalAcres.toLocaleString(undefined, {
+        maximumFractionDigits: 1,
+      })} ac), subject district excluded
     </div>
-    ${
-      props.PD_NAME
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#ffb057;font-weight:bold;">PD Name:</span>
-      <span style="color:#e9edf5;"> ${props.PD_NAME}</span>
-    </div>`
-        : ""
-    }
+    <div style="overflow-y:auto;flex:1;border:1px solid #2a3152;border-radius:6px;">
+      <table style="width:100%;border-collapse:collapse;">
+        <thead>
+          <tr style="color:#9aa3b2;text-align:left;position:sticky;top:0;background:#161a2e;">
+            <th style="padding:6px;">Zoning</th><th style="padding:6px;">Group</th>
+            <th style="padding:6px;">PD Name</th><th style="padding:6px;text-align:right;">Acres</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${hits
+            .map((f) => {
+              const p = f.properties;
+              return `<tr style="border-top:1px solid #2a3152;">
+                <td style="padding:4px 6px;">${escapeHtml(
+                  p[FIELDS.code] || "—"
+                )}</td>
+                <td style="padding:4px 6px;">${escapeHtml(
+                  p[FIELDS.group] || "—"
+                )}</td>
+                <td style="padding:4px 6px;">${escapeHtml(
+                  p[FIELDS.pdName] || ""
+                )}</td>
+                <td style="padding:4px 6px;text-align:right;">${Number(
+                  p[FIELDS.acres] || 0
+                ).toLocaleString(undefined, {
+                  maximumFractionDigits: 2,
+                })}</td>
+              </tr>`;
+            })
+            .join("")}
+        </tbody>
+      </table>
+    </div>
+    <div style="display:flex;gap:8px;justify-content:flex-end;margin-top:10px;">
+      <button data-action="clear" style="padding:6px 12px;background:#2a3152;color:#e9edf5;border:none;border-radius:4px;cursor:pointer;">Clear</button>
+      <button data-action="csv" style="padding:6px 12px;background:#6aa6ff;color:white;border:none;border-radius:4px;cursor:pointer;">Export CSV</button>
+      <button data-action="geojson" style="padding:6px 12px;background:#6aa6ff;color:white;border:none;border-radius:4px;cursor:pointer;">Export GeoJSON</button>
+    </div>
+  `;
+  document.getElementById("map").appendChild(panel);
 
-    ${
-      props.ZONINGOLD
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#c07bff;font-weight:bold;">Previous Zoning:</span>
-      <span style="color:#e9edf5;"> ${props.ZONINGOLD}</span>
-    </div>`
-        : ""
-    }
+  panel.querySelector('[data-action="close"]').onclick = clearBufferReport;
+  panel.querySelector('[data-action="clear"]').onclick = clearBufferReport;
+  panel.querySelector('[data-action="csv"]').onclick = () => {
+    if (!hits.length) return;
+    exportToCSV(hits, bufferReportFields(), {
+      filename: `${filenameBase}.csv`,
+    });
+  };
+  panel.querySelector('[data-action="geojson"]').onclick = () => {
+    if (!hits.length) return;
+    exportToGeoJSON(hits, bufferReportFields(), `${filenameBase}.geojson`);
+  };
+}
 
-    ${
-      props.area_acres
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#ffd86e;font-weight:bold;">Area:</span>
-      <span style="color:#e9edf5;"> ${Number(props.area_acres).toLocaleString(
-        undefined,
-        { maximumFractionDigits: 2 }
-      )} acres</span>
-    </div>`
-        : ""
-    }
+// --- Planned Development explorer
+// Every distinct PD_NAME with its polygon count, acreage, zoning codes and
+// date range. Selecting a PD outlines all of its polygons, fits the map to
+// them and offers them for export. Built from the whole dataset (the PMTiles
+// archive in vector mode), not from what is on screen or filtered.
+function pdExportFields() {
+  return [
+    FIELDS.id,
+    FIELDS.pdName,
+    FIELDS.code,
+    FIELDS.previousCode,
+    FIELDS.group,
+    FIELDS.acres,
+    ...DATE_FIELDS,
+  ];
+}
+const PD_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name),
+  acres: (a, b) => b.acres - a.acres,
+  count: (a, b) => b.count - a.count,
+};
 
-    ${
-      props.BCC_DATE
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#87d4a5;font-weight:bold;">BCC Date:</span>
-      <span style="color:#e9edf5;"> ${formatDate(props.BCC_DATE)}</span>
-    </div>`
-        : ""
-    }
+function plannedDevelopmentList() {
+  if (!state.pd.list) {
+    state.pd.list =
+      state.zoningMode === "vector"
+        ? loadFullVectorDataset().then((features) =>
+            summarizePlannedDevelopments(
+              features.map((f) => f.properties || {}),
+              DATE_FIELDS
+            )
+          )
+        : workerRequest("pds", { name: "zoning", dateFields: DATE_FIELDS });
+    state.pd.list.catch(() => (state.pd.list = null)); // allow retry
+  }
+  return state.pd.list;
+}
 
-    ${
-      props.P_Z_DATE
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#778899;font-weight:bold;">Proposed Date:</span>
-      <span style="color:#e9edf5;"> ${formatDate(props.P_Z_DATE)}</span>
-    </div>`
-        : ""
-    }
+async function plannedDevelopmentFeatures(name) {
+  const filter = ["==", ["to-string", ["get", FIELDS.pdName]], name];
+  if (state.zoningMode !== "vector")
+    return workerRequest(
+      "search",
+      { name: "zoning", filter },
+      { channel: "pd" }
+    );
+  const matches = compileFilter(filter);
+  return (await loadFullVectorDataset()).filter((f) => matches(f.properties));
+}
+
+async function openPdExplorer(selectName) {
+  let panel = document.querySelector('[data-panel="pd-explorer"]');
+  if (!panel) panel = createPdExplorer();
+  const list = panel.querySelector('[data-role="list"]');
+  if (!state.pd.rows) list.innerHTML = pdMessageHtml("Loading PDs…");
+  try {
+    state.pd.rows = await plannedDevelopmentList();
+  } catch (err) {
+    console.error(err);
+    list.innerHTML = pdMessageHtml("Could not read the zoning data");
+    return;
+  }
+  if (!panel.isConnected) return;
+  renderPdList(panel);
+  if (selectName) selectPd(selectName);
+}
 
-    ${
-      props.MAINT_DATE
-        ? `
-    <div style="margin-bottom: 12px;">
-      <span style="color:#b3b6c2;font-weight:bold;">Maintenance Date:</span>
-      <span style="color:#e9edf5;"> ${formatDate(props.MAINT_DATE)}</span>
-    </div>`
-        : ""
-    }
+function createPdExplorer() {
+  const panel = document.createElement("div");
+  panel.setAttribute("data-panel", "pd-explorer");
+  panel.style.cssText = `
+    position: absolute; top: 20px; left: 20px;
+    background: rgba(22, 26, 46, 0.95); color: #e9edf5; padding: 16px;
+    border-radius: 12px; border: 1px solid #2a3152; font-size: 12px; z-index: 1000;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.5); width: min(440px, calc(100% - 40px));
+    max-height: 60vh; display: flex; flex-direction: column; backdrop-filter: blur(4px);
+  `;
+  const input = `background:#0f1222;color:#e9edf5;border:1px solid #2a3152;border-radius:4px;padding:6px 8px;font-size:12px;`;
+  panel.innerHTML = `
+    <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:8px;">
+      <h3 style="margin:0;font-size:15px;color:#c07bff;">🏘️ Planned Developments</h3>
+      <button data-action="close" aria-label="Close PD explorer" style="background:none;border:none;color:#e9edf5;font-size:20px;cursor:pointer;">×</button>
+    </div>
+    <div style="display:flex;gap:8px;margin-bottom:8px;">
+      <input data-role="search" type="search" placeholder="Filter PD names…" aria-label="Filter PD names" style="flex:1;${input}" />
+      <select data-role="sort" aria-label="Sort PDs" style="${input}">
+        <option value="name">Name</option>
+        <option value="acres">Acres</option>
+        <option value="count">Polygons</option>
+      </select>
+    </div>
+    <div data-role="detail"></div>
+    <div data-role="list" style="overflow-y:auto;flex:1;border:1px solid #2a3152;border-radius:6px;"></div>
+  `;
+  document.getElementById("map").appendChild(panel);
 
-    ${
-      props.centroid_lat && props.centroid_lon
-        ? `<div style="margin-bottom:12px;">
-             <span style="color:#6aa6ff;font-weight:bold;">Centroid:</span>
-             <span style="color:#e9edf5;"> ${Number(props.centroid_lat).toFixed(
-               4
-             )}, ${Number(props.centroid_lon).toFixed(4)}</span>
-           </div>`
-        : ""
-    }
-  `
+  panel.querySelector('[data-action="close"]').onclick = closePdExplorer;
+  panel.querySelector('[data-role="search"]').oninput = debounce(
+    () => renderPdList(panel),
+    150
   );
+  panel.querySelector('[data-role="sort"]').onchange = () =>
+    renderPdList(panel);
+  panel.querySelector('[data-role="list"]').onclick = (e) => {
+    const row = e.target.closest("tr[data-pd]");
+    if (row) selectPd(row.dataset.pd);
+  };
+  return panel;
+}
 
-  document.getElementById("map").appendChild(infoPanel);
+function closePdExplorer() {
+  document.querySelector('[data-panel="pd-explorer"]')?.remove();
+  clearPdSelection();
 }
 
-function formatDate(value) {
-  // Handles epoch ms or ISO
-  const d = new Date(value);
-  return isNaN(d) ? "—" : d.toISOString().slice(0, 10);
+function renderPdList(panel) {
+  const term = panel.querySelector('[data-role="search"]').value.toLowerCase();
+  const sort = PD_SORTS[panel.querySelector('[data-role="sort"]').value];
+  const rows = state.pd.rows
+    .filter((pd) => pd.name.toLowerCase().includes(term))
+    .sort(sort);
+  const list = panel.querySelector('[data-role="list"]');
+  if (!rows.length) {
+    list.innerHTML = pdMessageHtml(
+      state.pd.rows.length
+        ? "No PD matches"
+        : `No ${escapeHtml(FIELDS.pdName)} values in the data`
+    );
+    return;
+  }
+  list.innerHTML = `
+    <table style="width:100%;border-collapse:collapse;">
+      <thead>
+        <tr style="color:#9aa3b2;text-align:left;position:sticky;top:0;background:#161a2e;">
+          <th style="padding:6px;">PD Name</th><th style="padding:6px;text-align:right;">Polygons</th>
+          <th style="padding:6px;text-align:right;">Acres</th><th style="padding:6px;">Codes</th>
+          <th style="padding:6px;">Dates</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map((pd) => {
+            const selected = pd.name === state.pd.selected;
+            return `<tr data-pd="${escapeHtml(pd.name)}"${
+              selected ? " data-selected" : ""
+            } style="border-top:1px solid #2a3152;cursor:pointer;${
+              selected ? "background:rgba(192,123,255,0.2);" : ""
+            }">
+              <td style="padding:4px 6px;">${escapeHtml(pd.name)}</td>
+              <td style="padding:4px 6px;text-align:right;">${pd.count.toLocaleString()}</td>
+              <td style="padding:4px 6px;text-align:right;">${pd.acres.toLocaleString(
+                undefined,
+                { maximumFractionDigits: 1 }
+              )}</td>
+              <td style="padding:4px 6px;">${escapeHtml(
+                pdCodesText(pd, 3)
+              )}</td>
+              <td style="padding:4px 6px;white-space:nowrap;">${pdDateRangeText(
+                pd
+              )}</td>
+            </tr>`;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  `;
+  list.querySelector("tr[data-selected]")?.scrollIntoView({
+    block: "nearest",
+  });
 }
 
-// --- Legend (collapsible + compact on mobile)
-function addLegend() {
-  const legend = document.createElement("div");
-  legend.className = "map-legend";
+async function selectPd(name) {
+  const panel = document.querySelector('[data-panel="pd-explorer"]');
+  const pd = state.pd.rows?.find((row) => row.name === name);
+  if (!panel || !pd) return;
+  state.pd.selected = name;
+  renderPdList(panel);
 
-  const header = document.createElement("div");
-  header.className = "legend-header";
-  header.innerHTML = `<span>Zoning Categories</span><button class="legend-toggle" aria-label="Toggle legend">–</button>`;
+  const detail = panel.querySelector('[data-role="detail"]');
+  detail.innerHTML = pdMessageHtml(`Loading ${escapeHtml(name)}…`);
+  let features;
+  try {
+    features = await plannedDevelopmentFeatures(name);
+  } catch (err) {
+    console.error(err);
+    detail.innerHTML = pdMessageHtml("Could not load this PD's polygons");
+    return;
+  }
+  if (!features || state.pd.selected !== name) return; // superseded
 
-  const list = document.createElement("div");
-  list.className = "legend-list";
-  list.innerHTML = Object.entries(colors)
-    .map(
-      ([label, color]) => `
-      <div class="legend-item">
-        <div class="legend-swatch" style="background:${color}"></div>
-        <span class="legend-label">${label}</span>
-      </div>`
-    )
-    .join("");
+  renderPdHighlight(features);
+  fitMapToFeatures(features);
+  const button = (action, label, primary) =>
+    `<button data-action="${action}" style="padding:6px 12px;background:${
+      primary ? "#6aa6ff" : "#2a3152"
+    };color:${
+      primary ? "white" : "#e9edf5"
+    };border:none;border-radius:4px;cursor:pointer;">${label}</button>`;
+  detail.innerHTML = `
+    <div style="margin-bottom:8px;padding:8px;border:1px solid #c07bff;border-radius:6px;">
+      <div style="font-weight:600;font-size:13px;margin-bottom:4px;">${escapeHtml(
+        name
+      )}</div>
+      <div style="color:#9aa3b2;margin-bottom:4px;">
+        ${pd.count.toLocaleString()} polygon(s) ·
+        ${pd.acres.toLocaleString(undefined, {
+          maximumFractionDigits: 1,
+        })} ac · ${pdDateRangeText(pd)}
+      </div>
+      <div style="margin-bottom:8px;">Codes: ${escapeHtml(
+        pdCodesText(pd)
+      )}</div>
+      <div style="display:flex;gap:8px;justify-content:flex-end;flex-wrap:wrap;">
+        ${button("clear", "Clear")}
+        ${button("zoom", "Zoom to PD")}
+        ${button("csv", "Export CSV", true)}
+        ${button("geojson", "Export GeoJSON", true)}
+      </div>
+    </div>
+  `;
+  const filenameBase = `pd_${name.replace(/[^a-z0-9]+/gi, "_").toLowerCase()}`;
+  detail.querySelector('[data-action="clear"]').onclick = clearPdSelection;
+  detail.querySelector('[data-action="zoom"]').onclick = () =>
+    fitMapToFeatures(features);
+  detail.querySelector('[data-action="csv"]').onclick = () =>
+    exportToCSV(features, pdExportFields(), {
+      filename: `${filenameBase}.csv`,
+      isoDates: true,
+    });
+  detail.querySelector('[data-action="geojson"]').onclick = () =>
+    exportToGeoJSON(features, pdExportFields(), `${filenameBase}.geojson`);
+}
 
-  legend.appendChild(header);
-  legend.appendChild(list);
-  document.getElementById("map").appendChild(legend);
+function clearPdSelection() {
+  state.pd.selected = null;
+  renderPdHighlight([]);
+  const panel = document.querySelector('[data-panel="pd-explorer"]');
+  if (!panel) return;
+  panel.querySelector('[data-role="detail"]').innerHTML = "";
+  if (state.pd.rows) renderPdList(panel);
+}
 
-  // Toggle collapse
-  const toggleBtn = legend.querySelector(".legend-toggle");
-  toggleBtn.addEventListener("click", () => {
-    legend.classList.toggle("collapsed");
-    toggleBtn.textContent = legend.classList.contains("collapsed") ? "+" : "–";
+function renderPdHighlight(features) {
+  const data = { type: "FeatureCollection", features };
+  const source = state.map.getSource("pd-highlight");
+  if (source) {
+    source.setData(data);
+    return;
+  }
+  if (!features.length) return;
+  state.map.addSource("pd-highlight", { type: "geojson", data });
+  state.map.addLayer({
+    id: "pd-highlight-fill",
+    type: "fill",
+    source: "pd-highlight",
+    paint: { "fill-color": "#c07bff", "fill-opacity": 0.25 },
   });
+  state.map.addLayer({
+    id: "pd-highlight-line",
+    type: "line",
+    source: "pd-highlight",
+    paint: { "line-color": "#ffffff", "line-width": 2.5 },
+  });
+}
 
-  // Default to collapsed on small screens
-  if (window.innerWidth <= 768) {
-    legend.classList.add("collapsed");
-    toggleBtn.textContent = "+";
-  }
+function fitMapToFeatures(features) {
+  if (!features.length) return;
+  const [w, s, e, n] = turf.bbox({ type: "FeatureCollection", features });
+  state.map.fitBounds(
+    [
+      [w, s],
+      [e, n],
+    ],
+    { padding: 60, maxZoom: 16 }
+  );
+}
+
+// "PD (12), R-1 (3), +2 more"; most polygons first
+function pdCodesText(pd, limit = Infinity) {
+  const codes = Object.entries(pd.codes).sort((a, b) => b[1] - a[1]);
+  const shown = codes
+    .slice(0, limit)
+    .map(([code, n]) => `${code} (${n})`)
+    .join(", ");
+  return codes.length > limit
+    ? `${shown}, +${codes.length - limit} more`
+    : shown;
+}
+
+function pdDateRangeText(pd) {
+  if (pd.firstDate == null) return "undated";
+  const first = formatDate(pd.firstDate);
+  const last = formatDate(pd.lastDate);
+  return first === last ? first : `${first} – ${last}`;
+}
+
+function pdMessageHtml(text) {
+  return `<div style="padding:12px;color:#9aa3b2;text-align:center;">${text}</div>`;
 }
 
 // --- Export
-function exportFilteredData() {
+async function exportFilteredData() {
   // Decide source of truth:
-  // - GeoJSON: filter entire dataset (fields fully available)
-  // - Vector: export current visible, filtered features
+  // - Drawn area: filtered features intersecting it
+  // - GeoJSON: filter entire dataset in the data worker (fields fully available)
+  // - Vector: read the whole PMTiles archive, then the same filter as GeoJSON
   let features = [];
-  let mode = state.zoningMode;
 
-  if (mode === "geojson" && state.zoningData) {
-    features = filterGeoJSONFeatures(state.zoningData.features);
-  } else {
-    // visible rendered features in the viewport
-    features = getVisibleFilteredFeatures();
-    showNotification(
-      `Vector tiles detected: exporting ${features.length} visible filtered feature(s).`,
-      "info"
-    );
+  try {
+    if (state.draw.shape) {
+      features = await getFeaturesInDrawnArea();
+    } else if (state.zoningMode === "geojson") {
+      features = await workerRequest("search", {
+        name: "zoning",
+        filter: buildFilterExpression(),
+      });
+    } else {
+      features = filterGeoJSONFeatures(await loadFullVectorDataset());
+    }
+  } catch (err) {
+    console.error(err);
+    showNotification("Could not read the zoning data for export", "error");
+    return;
   }
 
   if (!features.length) {
     showNotification("No data matches current filters", "error");
     return;
   }
+  if (state.consistency.enabled) features = withConsistencyFields(features);
 
   // Build and show export modal
   const exportModal = document.createElement("div");
@@ -695,13 +4691,16 @@ function exportFilteredData() {
   const props = sample.properties || {};
   const fields = Object.keys(props);
   const defaultFields = [
-    "ZONING",
-    "z_group",
-    "area_acres",
-    "PD_NAME",
-    "BCC_DATE",
+    FIELDS.code,
+    FIELDS.group,
+    FIELDS.acres,
+    FIELDS.pdName,
+    DATE_FIELDS[0],
     "centroid_lat",
     "centroid_lon",
+    "flu_consistency",
+    "flu_consistent_pct",
+    "clipped_acres",
   ];
 
   exportContent.innerHTML = `
@@ -711,7 +4710,7 @@ function exportFilteredData() {
     </div>
     <p style="margin:0 0 12px 0; color: var(--muted);">
       Export ${features.length.toLocaleString()} filtered ${
-    mode === "geojson" ? "feature(s)" : "visible feature(s)"
+    state.draw.shape ? "feature(s) intersecting the drawn area" : "feature(s)"
   }.
     </p>
 
@@ -719,11 +4718,29 @@ function exportFilteredData() {
       <label style="display:block;margin-bottom:8px;">Export Format:</label>
       <select id="exportFormat" style="width:100%;padding:8px;background:var(--bg);color:var(--text);border:1px solid var(--border);border-radius:4px;">
         <option value="csv">CSV (Excel)</option>
+        <option value="xlsx">Excel workbook (.xlsx)</option>
         <option value="geojson">GeoJSON (GIS)</option>
         <option value="json">JSON (Raw)</option>
+        <option value="shapefile">Shapefile (zipped)</option>
+        <option value="kml">KML (Google Earth)</option>
+        <option value="gpkg">GeoPackage</option>
       </select>
     </div>
 
+    <div id="tableOptions" style="margin-bottom: 12px;display:flex;gap:16px;align-items:center;flex-wrap:wrap;font-size:12px;">
+      <label style="display:flex;align-items:center;gap:6px;">
+        <input type="checkbox" id="exportIsoDates" checked>ISO dates (YYYY-MM-DD)
+      </label>
+      <label style="display:flex;align-items:center;gap:6px;">
+        Geometry:
+        <select id="exportGeometry" style="padding:4px;background:var(--bg);color:var(--text);border:1px solid var(--border);border-radius:4px;">
+          <option value="none">None</option>
+          <option value="wkt">WKT column</option>
+          <option value="centroid">Centroid lat/lon</option>
+        </select>
+      </label>
+    </div>
+
     <div style="margin-bottom: 12px;">
       <label style="display:block;margin-bottom:8px;">Include Fields:</label>
       <div id="fieldOptions" style="max-height:220px;overflow-y:auto;border:1px solid var(--border);border-radius:4px;padding:8px;">
@@ -757,8 +4774,17 @@ function exportFilteredData() {
     if (e.target === exportModal) close();
   });
 
-  document.getElementById("exportGo").onclick = () => {
-    const format = document.getElementById("exportFormat").value;
+  // Date/geometry columns only apply to spreadsheet formats
+  const formatSelect = document.getElementById("exportFormat");
+  const tableOptions = document.getElementById("tableOptions");
+  formatSelect.addEventListener("change", () => {
+    tableOptions.style.display = ["csv", "xlsx"].includes(formatSelect.value)
+      ? "flex"
+      : "none";
+  });
+
+  document.getElementById("exportGo").onclick = async () => {
+    const format = formatSelect.value;
     const selectedFields = Array.from(
       document.querySelectorAll("#fieldOptions input[type='checkbox']:checked")
     ).map((cb) => cb.value);
@@ -766,9 +4792,20 @@ function exportFilteredData() {
       showNotification("Please select at least one field to export", "error");
       return;
     }
+    const tableOpts = {
+      isoDates: document.getElementById("exportIsoDates").checked,
+      geometry: document.getElementById("exportGeometry").value,
+    };
     try {
-      if (format === "csv") exportToCSV(features, selectedFields);
+      if (format === "csv") exportToCSV(features, selectedFields, tableOpts);
+      else if (format === "xlsx")
+        await exportToXLSX(features, selectedFields, tableOpts);
       else if (format === "geojson") exportToGeoJSON(features, selectedFields);
+      else if (format === "shapefile")
+        await exportToShapefile(features, selectedFields);
+      else if (format === "kml") exportToKML(features, selectedFields);
+      else if (format === "gpkg")
+        await exportToGeoPackage(features, selectedFields);
       else exportToJSON(features, selectedFields);
 
       close();
@@ -782,133 +4819,864 @@ function exportFilteredData() {
   };
 }
 
-// Filter GeoJSON features with full logic (incl. year parsing)
-function filterGeoJSONFeatures(all) {
-  const out = [];
-  for (const feature of all) {
-    const p = feature.properties || {};
-    // group
-    if (state.filters.group !== "ALL" && p.z_group !== state.filters.group)
-      continue;
-    // year: only enforce if we can parse a year at all
-    const y = parseAnyYear(p);
-    if (y && (y < state.filters.yearMin || y > state.filters.yearMax)) continue;
-    // area
-    const area = Number(p.area_acres || 0);
-    if (area < state.filters.areaMin || area > state.filters.areaMax) continue;
-    // search
-    if (state.filters.search) {
-      const t = state.filters.search.toLowerCase();
-      const fields = [p.ZONING, p.z_group, p.PD_NAME, p.ZONINGOLD].map((v) =>
-        (v || "").toString().toLowerCase()
-      );
-      if (!fields.some((s) => s.includes(t))) continue;
-    }
-    out.push(feature);
-  }
-  return out;
+// --- Full-archive reads (vector mode)
+// Walks every zoning tile at the archive's max zoom and stitches the per-tile
+// pieces back into whole features. Read once, then shared by every caller.
+// Tiles clip features at every zoom, so no zoom spares the stitching; the
+// deepest one has the full geometry. Its tile count grows 4x per zoom level:
+// past MAX_ARCHIVE_TILES the walk reads the deepest zoom under the cap, with
+// simplified outlines (attributes are the same at every zoom).
+const PBF_SRC = "https://unpkg.com/pbf@4.0.1/dist/pbf.js";
+// An ES module only (jsDelivr serves it with its imports rewritten to CDN URLs)
+const VECTOR_TILE_SRC =
+  "https://cdn.jsdelivr.net/npm/@mapbox/vector-tile@2.0.3/+esm";
+
+function loadFullVectorDataset() {
+  if (!state.vectorDataset) {
+    state.vectorDataset = readVectorArchive(
+      DATASETS.zoning.pmtiles,
+      DATASETS.zoning.sourceLayer
+    );
+    state.vectorDataset.catch(() => (state.vectorDataset = null)); // allow retry
+  }
+  return state.vectorDataset;
+}
+
+async function readVectorArchive(url, layerName) {
+  const progress = createProgressToast("Reading zoning tiles…");
+  try {
+    const archive = new pmtiles.PMTiles(url);
+    const [header, { VectorTile }] = await Promise.all([
+      archive.getHeader(),
+      loadScript(PBF_SRC).then(() => import(VECTOR_TILE_SRC)),
+    ]);
+    const tileRange = (z) => [
+      ...lngLatToTile(header.minLon, header.maxLat, z),
+      ...lngLatToTile(header.maxLon, header.minLat, z),
+    ];
+    const tileCount = ([xMin, yMin, xMax, yMax]) =>
+      (xMax - xMin + 1) * (yMax - yMin + 1);
+    let z = header.maxZoom;
+    while (z > header.minZoom && tileCount(tileRange(z)) > MAX_ARCHIVE_TILES)
+      z--;
+    const [xMin, yMin, xMax, yMax] = tileRange(z);
+    const queue = [];
+    for (let x = xMin; x <= xMax; x++) {
+      for (let y = yMin; y <= yMax; y++) queue.push([x, y]);
+    }
+    const total = queue.length;
+
+    const pieces = new Map();
+    let done = 0;
+    const readNext = async () => {
+      while (queue.length) {
+        const [x, y] = queue.pop();
+        const tile = await archive.getZxy(z, x, y);
+        const features = tile?.data
+          ? decodeVectorTile(VectorTile, tile.data, layerName, z, x, y)
+          : [];
+        for (const f of features) {
+          const key = featureKey(f);
+          if (!pieces.has(key)) pieces.set(key, []);
+          pieces.get(key).push(f);
+        }
+        done++;
+        progress.update(
+          done / total,
+          `${done.toLocaleString()} / ${total.toLocaleString()} tiles`
+        );
+      }
+    };
+    await Promise.all(Array.from({ length: TILE_FETCH_CONCURRENCY }, readNext));
+
+    progress.update(1, "Reassembling features split across tiles…");
+    await new Promise((r) => setTimeout(r, 0));
+    return [...pieces.values()].map(unionPieces);
+  } finally {
+    progress.close();
+  }
+}
+
+function lngLatToTile(lng, lat, z) {
+  const n = 2 ** z;
+  const x = Math.floor(((lng + 180) / 360) * n);
+  const rad = (Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI) / 180;
+  const y = Math.floor(
+    ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n
+  );
+  return [Math.min(Math.max(x, 0), n - 1), Math.min(Math.max(y, 0), n - 1)];
+}
+
+// Polygons of one layer of a tile -> GeoJSON features (lng/lat)
+function decodeVectorTile(VectorTile, buffer, layerName, z, x, y) {
+  const layer = new VectorTile(new Pbf(buffer)).layers[layerName];
+  const out = [];
+  for (let i = 0; i < (layer?.length ?? 0); i++) {
+    const feature = layer.feature(i);
+    if (feature.type !== 3) continue; // polygons only
+    const { geometry, properties } = feature.toGeoJSON(x, y, z);
+    if (!geometry.coordinates.length) continue; // only degenerate rings
+    out.push({
+      type: "Feature",
+      id: properties[FIELDS.id] ?? feature.id,
+      geometry,
+      properties,
+    });
+  }
+  return out;
+}
+
+// Filter GeoJSON features with the same rule as the layer filter
+function filterGeoJSONFeatures(all) {
+  const matches = filterPredicate();
+  return all.filter((feature) => matches(feature.properties));
+}
+
+// Visible features helper (vector or geojson)
+function getVisibleFilteredFeatures() {
+  const canvas = state.map.getCanvas();
+  const bbox = [
+    [0, 0],
+    [canvas.width, canvas.height],
+  ];
+  const feats =
+    state.map.queryRenderedFeatures(bbox, { layers: ["zoning-fill"] }) || [];
+  return mergeFeaturePieces(feats);
+}
+
+// --- Feature identity & tile pieces
+// Stable identity across tiles, zoom levels and reloads: the promoted id,
+// then id-like attributes, then the full attribute set. Never geometry
+// (every tile clips it differently) and never random.
+function featureKey(f) {
+  const p = f.properties || {};
+  const id =
+    f.id ??
+    p[FIELDS.id] ??
+    FALLBACK_ID_FIELDS.map((k) => p[k]).find((v) => v != null);
+  if (id != null) return `id:${id}`;
+  return `attrs:${JSON.stringify(
+    Object.keys(p)
+      .sort()
+      .map((k) => [k, p[k]])
+  )}`;
+}
+
+// One feature per featureKey, so a district spanning several tiles is counted
+// once and exported whole
+function mergeFeaturePieces(features) {
+  const groups = new Map();
+  for (const f of features) {
+    const key = featureKey(f);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  }
+  return [...groups.values()].map(mergePieceGroup);
+}
+
+// Pieces of one feature -> plain feature. KPIs and charts only read
+// properties, so the (costly) geometry union waits until something asks.
+function mergePieceGroup(pieces) {
+  if (pieces.length === 1) return unionPieces(pieces);
+  const first = pieces[0];
+  let geometry = null;
+  return {
+    type: "Feature",
+    id: first.id,
+    properties: { ...(first.properties || {}) },
+    get geometry() {
+      if (!geometry) geometry = unionPieces(pieces).geometry;
+      return geometry;
+    },
+  };
+}
+
+// --- Export helpers
+// --- Tabular exports (CSV / XLSX)
+const XLSX_SRC =
+  "https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js";
+
+// Excel refuses cells longer than this
+const XLSX_MAX_CELL_CHARS = 32767;
+
+// Header + rows for spreadsheet output. Options:
+//   isoDates  date fields become Date objects (written as YYYY-MM-DD)
+//   geometry  "none" | "wkt" | "centroid" (adds geometry_* columns)
+function buildTableRows(
+  features,
+  fields,
+  { isoDates = false, geometry = "none" } = {}
+) {
+  const header = [...fields];
+  if (geometry === "wkt") header.push("geometry_wkt");
+  if (geometry === "centroid")
+    header.push("geometry_centroid_lat", "geometry_centroid_lon");
+
+  const rows = features.map((f) => {
+    const p = f.properties || {};
+    const row = fields.map((field) => {
+      const v = p[field];
+      if (v == null || v === "") return null;
+      if (isoDates && DATE_FIELDS.includes(field)) {
+        const d = new Date(typeof v === "string" && /^\d+$/.test(v) ? +v : v);
+        return isNaN(d) ? v : d;
+      }
+      return v;
+    });
+    if (geometry === "wkt")
+      row.push(f.geometry ? geometryToWkt(f.geometry) : null);
+    if (geometry === "centroid") {
+      const c = f.geometry
+        ? turf.centroid(f.geometry).geometry.coordinates
+        : null;
+      row.push(c ? +c[1].toFixed(6) : null, c ? +c[0].toFixed(6) : null);
+    }
+    return row;
+  });
+  return { header, rows };
+}
+
+// RFC 4180: quote fields containing comma, quote, CR or LF; CRLF line breaks.
+// The BOM makes Excel read the file as UTF-8.
+function exportToCSV(features, fields, options = {}) {
+  const { filename = `${EXPORT_BASENAME}.csv` } = options;
+  const { header, rows } = buildTableRows(features, fields, options);
+  downloadFile(csvText([header, ...rows]), filename, "text/csv;charset=utf-8");
+}
+
+function csvText(rows) {
+  const cell = (v) => {
+    if (v == null) return "";
+    const s = v instanceof Date ? v.toISOString().slice(0, 10) : String(v);
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return (
+    "\uFEFF" + rows.map((r) => r.map(cell).join(",")).join("\r\n") + "\r\n"
+  );
+}
+
+async function exportToXLSX(features, fields, options = {}) {
+  await loadScript(XLSX_SRC);
+  const { header, rows } = buildTableRows(features, fields, options);
+  let truncated = 0;
+  for (const row of rows) {
+    row.forEach((v, i) => {
+      if (typeof v === "string" && v.length > XLSX_MAX_CELL_CHARS) {
+        row[i] = null;
+        truncated++;
+      }
+    });
+  }
+
+  const book = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet([header, ...rows], {
+    cellDates: true,
+    dateNF: "yyyy-mm-dd",
+  });
+  sheet["!autofilter"] = { ref: sheet["!ref"] };
+  XLSX.utils.book_append_sheet(book, sheet, "Features");
+
+  const meta = [
+    ["Property", "Value"],
+    ["Exported at", new Date().toISOString()],
+    ["Feature count", features.length],
+    ["Data source", describeDataSource()],
+    ["Scope", state.draw.shape ? "Drawn area" : "Entire dataset"],
+    ...describeActiveFilters(),
+    ["Fields", fields.join(", ")],
+    [
+      "Dates",
+      options.isoDates ? "ISO 8601 (YYYY-MM-DD)" : "Epoch milliseconds",
+    ],
+    ["Geometry column", options.geometry || "none"],
+  ];
+  if (truncated)
+    meta.push([
+      "Note",
+      `${truncated} value(s) longer than ${XLSX_MAX_CELL_CHARS} characters were left empty (Excel cell limit)`,
+    ]);
+  const metaSheet = XLSX.utils.aoa_to_sheet(meta);
+  metaSheet["!cols"] = [{ wch: 22 }, { wch: 80 }];
+  XLSX.utils.book_append_sheet(book, metaSheet, "Metadata");
+
+  const data = XLSX.write(book, { bookType: "xlsx", type: "array" });
+  downloadFile(
+    data,
+    `${EXPORT_BASENAME}.xlsx`,
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+}
+
+function describeDataSource() {
+  const source =
+    state.zoningMode === "vector"
+      ? `${DATASETS.zoning.pmtiles} (vector tiles)`
+      : DATASETS.zoning.geojson;
+  return `${SITE.jurisdiction} zoning — ${source}`;
+}
+
+// Active filters as [label, value] pairs, for export metadata
+function describeActiveFilters() {
+  const f = state.filters;
+  const rows = [
+    ["Zoning group", f.group === "ALL" ? "All groups" : f.group],
+    ["Year range", `${f.yearMin}–${f.yearMax}`],
+    ["Year filter date", DATE_FIELD_LABELS[f.dateField]],
+    ["Undated districts", f.includeUndated ? "Included" : "Excluded"],
+    ["Area range (acres)", `${f.areaMin}–${f.areaMax}`],
+    ["Search", f.search || "(none)"],
+    ["Hidden groups", f.hiddenGroups.join(", ") || "(none)"],
+    ["Query", queryText() || "(none)"],
+    ["Zoning code", f.zoningCode || "(any)"],
+  ];
+  if (f.transition) rows.push(["Rezoning transition", transitionLabel()]);
+  if (state.consistency.enabled)
+    rows.push(["Zoning vs. FLU", "Consistency fields included"]);
+  return rows;
+}
+
+function exportToGeoJSON(
+  features,
+  fields,
+  filename = "orange_county_zoning_export.geojson"
+) {
+  const gj = {
+    type: "FeatureCollection",
+    features: features.map((f) => ({
+      type: "Feature",
+      geometry: f.geometry,
+      properties: Object.fromEntries(
+        fields.map((fld) => [fld, (f.properties || {})[fld]])
+      ),
+    })),
+  };
+  downloadFile(JSON.stringify(gj, null, 2), filename, "application/geo+json");
+}
+
+function exportToJSON(features, fields) {
+  const arr = features.map((f) => ({
+    ...f,
+    properties: Object.fromEntries(
+      fields.map((fld) => [fld, (f.properties || {})[fld]])
+    ),
+  }));
+  downloadFile(
+    JSON.stringify(arr, null, 2),
+    "orange_county_zoning_export.json",
+    "application/json"
+  );
+}
+
+// --- GIS export formats (Shapefile, KML, GeoPackage), all built in the browser
+const EXPORT_BASENAME = "orange_county_zoning_export";
+
+const WGS84_PRJ =
+  'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]],PRIMEM["Greenwich",0.0],UNIT["Degree",0.0174532925199433]]';
+
+const SQL_JS_BASE = "https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/";
+
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    sum += (ring[j][0] - ring[i][0]) * (ring[i][1] + ring[j][1]);
+  }
+  return sum;
+}
+
+// Polygon rings of a Polygon/MultiPolygon as [[ring, ...], ...]
+function polygonsOf(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+// Value types per field, decided over all features: number, date, bool or text
+function inferFieldTypes(features, fields) {
+  return fields.map((name) => {
+    let type = null;
+    for (const f of features) {
+      const v = (f.properties || {})[name];
+      if (v == null || v === "") continue;
+      const t =
+        typeof v === "number"
+          ? /DATE/i.test(name)
+            ? "date"
+            : "number"
+          : typeof v === "boolean"
+          ? "bool"
+          : "text";
+      if (type && type !== t) return { name, type: "text" };
+      type = t;
+    }
+    return { name, type: type || "text" };
+  });
+}
+
+async function exportToShapefile(features, fields) {
+  const encoder = new TextEncoder();
+  const { shp, shx } = buildShpAndShx(features);
+  const dbf = buildDbf(features, inferFieldTypes(features, fields), encoder);
+
+  const zip = new JSZip();
+  zip.file(`${EXPORT_BASENAME}.shp`, shp);
+  zip.file(`${EXPORT_BASENAME}.shx`, shx);
+  zip.file(`${EXPORT_BASENAME}.dbf`, dbf);
+  zip.file(`${EXPORT_BASENAME}.prj`, WGS84_PRJ);
+  zip.file(`${EXPORT_BASENAME}.cpg`, "UTF-8");
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadFile(blob, `${EXPORT_BASENAME}_shp.zip`, "application/zip");
+}
+
+// ESRI polygon shapefile (type 5). Outer rings clockwise, holes counter-clockwise.
+function buildShpAndShx(features) {
+  const records = features.map((f) => {
+    const rings = [];
+    for (const poly of polygonsOf(f.geometry)) {
+      poly.forEach((ring, i) => {
+        const cw = ringArea(ring) < 0;
+        rings.push(cw === (i === 0) ? ring : [...ring].reverse());
+      });
+    }
+    return rings;
+  });
+
+  let shpLength = 100;
+  const sizes = records.map((rings) => {
+    const points = rings.reduce((n, r) => n + r.length, 0);
+    const content = rings.length ? 44 + 4 * rings.length + 16 * points : 4;
+    shpLength += 8 + content;
+    return content;
+  });
+
+  const shp = new DataView(new ArrayBuffer(shpLength));
+  const shx = new DataView(new ArrayBuffer(100 + 8 * records.length));
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of records) {
+    for (const ring of rings) {
+      for (const [x, y] of ring) {
+        bbox[0] = Math.min(bbox[0], x);
+        bbox[1] = Math.min(bbox[1], y);
+        bbox[2] = Math.max(bbox[2], x);
+        bbox[3] = Math.max(bbox[3], y);
+      }
+    }
+  }
+  if (!Number.isFinite(bbox[0])) bbox.fill(0);
+
+  for (const [view, bytes] of [
+    [shp, shpLength],
+    [shx, 100 + 8 * records.length],
+  ]) {
+    view.setInt32(0, 9994); // file code, big-endian
+    view.setInt32(24, bytes / 2); // length in 16-bit words
+    view.setInt32(28, 1000, true);
+    view.setInt32(32, 5, true); // polygon
+    bbox.forEach((v, i) => view.setFloat64(36 + i * 8, v, true));
+  }
+
+  let offset = 100;
+  records.forEach((rings, i) => {
+    shx.setInt32(100 + i * 8, offset / 2);
+    shx.setInt32(104 + i * 8, sizes[i] / 2);
+    shp.setInt32(offset, i + 1);
+    shp.setInt32(offset + 4, sizes[i] / 2);
+    let o = offset + 8;
+    if (!rings.length) {
+      shp.setInt32(o, 0, true); // null shape
+    } else {
+      const points = rings.flat();
+      const box = [Infinity, Infinity, -Infinity, -Infinity];
+      for (const [x, y] of points) {
+        box[0] = Math.min(box[0], x);
+        box[1] = Math.min(box[1], y);
+        box[2] = Math.max(box[2], x);
+        box[3] = Math.max(box[3], y);
+      }
+      shp.setInt32(o, 5, true);
+      box.forEach((v, k) => shp.setFloat64(o + 4 + k * 8, v, true));
+      shp.setInt32(o + 36, rings.length, true);
+      shp.setInt32(o + 40, points.length, true);
+      o += 44;
+      let start = 0;
+      for (const ring of rings) {
+        shp.setInt32(o, start, true);
+        start += ring.length;
+        o += 4;
+      }
+      for (const [x, y] of points) {
+        shp.setFloat64(o, x, true);
+        shp.setFloat64(o + 8, y, true);
+        o += 16;
+      }
+    }
+    offset += 8 + sizes[i];
+  });
+  return { shp: shp.buffer, shx: shx.buffer };
+}
+
+// dBase III table; field names cut to 10 characters (kept unique)
+function buildDbf(features, columns, encoder) {
+  const used = new Set();
+  const defs = columns.map(({ name, type }) => {
+    const base = name.replace(/[^A-Za-z0-9_]/g, "_");
+    let short = base.slice(0, 10);
+    for (let n = 1; used.has(short.toUpperCase()); n++) {
+      short = `${base.slice(0, 10 - String(n).length)}${n}`;
+    }
+    used.add(short.toUpperCase());
+    if (type === "date")
+      return { name, short, dbfType: "D", length: 8, decimals: 0 };
+    if (type === "bool")
+      return { name, short, dbfType: "L", length: 1, decimals: 0 };
+    if (type === "number")
+      return { name, short, dbfType: "N", length: 19, decimals: 6 };
+    let length = 1;
+    for (const f of features) {
+      const v = (f.properties || {})[name];
+      if (v != null)
+        length = Math.max(length, encoder.encode(String(v)).length);
+    }
+    return {
+      name,
+      short,
+      dbfType: "C",
+      length: Math.min(length, 254),
+      decimals: 0,
+    };
+  });
+
+  const headerLength = 32 + 32 * defs.length + 1;
+  const recordLength = 1 + defs.reduce((n, d) => n + d.length, 0);
+  const bytes = new Uint8Array(
+    headerLength + recordLength * features.length + 1
+  );
+  const view = new DataView(bytes.buffer);
+  const now = new Date();
+  bytes[0] = 0x03;
+  bytes[1] = now.getFullYear() - 1900;
+  bytes[2] = now.getMonth() + 1;
+  bytes[3] = now.getDate();
+  view.setUint32(4, features.length, true);
+  view.setUint16(8, headerLength, true);
+  view.setUint16(10, recordLength, true);
+
+  defs.forEach((d, i) => {
+    const at = 32 + i * 32;
+    bytes.set(encoder.encode(d.short), at);
+    bytes[at + 11] = d.dbfType.charCodeAt(0);
+    bytes[at + 16] = d.length;
+    bytes[at + 17] = d.decimals;
+  });
+  bytes[headerLength - 1] = 0x0d;
+
+  const fill = (at, text, length, alignRight) => {
+    let encoded = encoder.encode(text);
+    if (encoded.length > length) encoded = encoded.slice(0, length);
+    bytes.fill(0x20, at, at + length);
+    bytes.set(encoded, alignRight ? at + length - encoded.length : at);
+  };
+
+  features.forEach((f, r) => {
+    let at = headerLength + r * recordLength;
+    bytes[at++] = 0x20; // not deleted
+    const p = f.properties || {};
+    for (const d of defs) {
+      const v = p[d.name];
+      let text = "";
+      if (v != null && v !== "") {
+        if (d.dbfType === "D") {
+          const date = new Date(v);
+          text = isNaN(date)
+            ? ""
+            : date.toISOString().slice(0, 10).replace(/-/g, "");
+        } else if (d.dbfType === "L") text = v ? "T" : "F";
+        else if (d.dbfType === "N") {
+          const n = Number(v);
+          text = Number.isFinite(n) ? n.toFixed(d.decimals) : "";
+        } else text = String(v);
+      }
+      fill(at, text, d.length, d.dbfType === "N");
+      at += d.length;
+    }
+  });
+  bytes[bytes.length - 1] = 0x1a;
+  return bytes.buffer;
+}
+
+// KML with one style per zoning group, colored like the map
+function exportToKML(features, fields) {
+  const kmlColor = (hex, alpha) => {
+    const h = hex.replace("#", "");
+    return `${alpha}${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`; // aabbggrr
+  };
+  const styleId = (group) =>
+    `grp-${String(group)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")}`;
+  const ring = (coords) =>
+    `<LinearRing><coordinates>${coords
+      .map(([x, y]) => `${x},${y}`)
+      .join(" ")}</coordinates></LinearRing>`;
+  const polygon = (rings) =>
+    `<Polygon><outerBoundaryIs>${ring(rings[0])}</outerBoundaryIs>${rings
+      .slice(1)
+      .map((r) => `<innerBoundaryIs>${ring(r)}</innerBoundaryIs>`)
+      .join("")}</Polygon>`;
+
+  const styles = Object.entries(colors)
+    .map(
+      ([group, color]) => `
+    <Style id="${styleId(group)}">
+      <LineStyle><color>ff000000</color><width>1</width></LineStyle>
+      <PolyStyle><color>${kmlColor(color, "cc")}</color></PolyStyle>
+    </Style>`
+    )
+    .join("");
+
+  const placemarks = features
+    .map((f) => {
+      const p = f.properties || {};
+      const polys = polygonsOf(f.geometry);
+      const geometry =
+        polys.length === 1
+          ? polygon(polys[0])
+          : polys.length
+          ? `<MultiGeometry>${polys.map(polygon).join("")}</MultiGeometry>`
+          : "";
+      const group = p[FIELDS.group] in colors ? p[FIELDS.group] : "Other";
+      const data = fields
+        .map(
+          (fld) =>
+            `<Data name="${escapeHtml(fld)}"><value>${escapeHtml(
+              p[fld] ?? ""
+            )}</value></Data>`
+        )
+        .join("");
+      return `
+    <Placemark>
+      <name>${escapeHtml(p[FIELDS.code] ?? "")}</name>
+      <styleUrl>#${styleId(group)}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      ${geometry}
+    </Placemark>`;
+    })
+    .join("");
+
+  downloadFile(
+    `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeHtml(SITE.jurisdiction)} Zoning</name>${styles}${placemarks}
+  </Document>
+</kml>`,
+    `${EXPORT_BASENAME}.kml`,
+    "application/vnd.google-earth.kml+xml"
+  );
 }
 
-function parseAnyYear(p) {
-  const candidates = [p.BCC_DATE, p.P_Z_DATE, p.MAINT_DATE].filter(Boolean);
-  for (const c of candidates) {
-    const d = new Date(c);
-    const y = d.getFullYear();
-    if (!isNaN(y) && y > 1900) return y;
+// OGC GeoPackage (SQLite via sql.js, loaded on first use); geometries as MULTIPOLYGON
+async function exportToGeoPackage(features, fields) {
+  await loadScript(`${SQL_JS_BASE}sql-wasm.js`);
+  const SQL = await initSqlJs({ locateFile: (file) => SQL_JS_BASE + file });
+  const db = new SQL.Database();
+  const table = "zoning";
+  const columns = inferFieldTypes(features, fields);
+  const sqlType = {
+    number: "REAL",
+    date: "DATETIME",
+    bool: "BOOLEAN",
+    text: "TEXT",
+  };
+  const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const f of features) {
+    if (!polygonsOf(f.geometry).length) continue;
+    const b = turf.bbox(f);
+    bbox[0] = Math.min(bbox[0], b[0]);
+    bbox[1] = Math.min(bbox[1], b[1]);
+    bbox[2] = Math.max(bbox[2], b[2]);
+    bbox[3] = Math.max(bbox[3], b[3]);
   }
-  return null;
-}
 
-// Visible features helper (vector or geojson)
-function getVisibleFilteredFeatures() {
-  const canvas = state.map.getCanvas();
-  const bbox = [
-    [0, 0],
-    [canvas.width, canvas.height],
-  ];
-  let feats =
-    state.map.queryRenderedFeatures(bbox, { layers: ["zoning-fill"] }) || [];
-  feats = dedupeFeatures(feats);
-  return feats;
-}
+  db.run(`
+    PRAGMA application_id = 1196444487;
+    PRAGMA user_version = 10300;
+    CREATE TABLE gpkg_spatial_ref_sys (
+      srs_name TEXT NOT NULL, srs_id INTEGER PRIMARY KEY, organization TEXT NOT NULL,
+      organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT);
+    CREATE TABLE gpkg_contents (
+      table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+      description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+      min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE, srs_id INTEGER,
+      CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id));
+    CREATE TABLE gpkg_geometry_columns (
+      table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+      srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+      CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name));
+  `);
+  const srs = db.prepare(
+    "INSERT INTO gpkg_spatial_ref_sys VALUES (?, ?, ?, ?, ?, ?)"
+  );
+  srs.run(["Undefined cartesian SRS", -1, "NONE", -1, "undefined", null]);
+  srs.run(["Undefined geographic SRS", 0, "NONE", 0, "undefined", null]);
+  srs.run([
+    "WGS 84 geodetic",
+    4326,
+    "EPSG",
+    4326,
+    WGS84_PRJ,
+    "longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid",
+  ]);
+  srs.free();
 
-function dedupeFeatures(features) {
-  const seen = new Set();
-  const out = [];
+  db.run(
+    `CREATE TABLE ${quote(
+      table
+    )} (fid INTEGER PRIMARY KEY AUTOINCREMENT, geom MULTIPOLYGON${columns
+      .map((c) => `, ${quote(c.name)} ${sqlType[c.type]}`)
+      .join("")})`
+  );
+  db.run(
+    "INSERT INTO gpkg_contents VALUES (?, 'features', ?, '', strftime('%Y-%m-%dT%H:%M:%fZ','now'), ?, ?, ?, ?, 4326)",
+    [
+      table,
+      table,
+      ...(Number.isFinite(bbox[0]) ? bbox : [null, null, null, null]),
+    ]
+  );
+  db.run(
+    "INSERT INTO gpkg_geometry_columns VALUES (?, 'geom', 'MULTIPOLYGON', 4326, 0, 0)",
+    [table]
+  );
+
+  const insert = db.prepare(
+    `INSERT INTO ${quote(table)} (geom${columns
+      .map((c) => `, ${quote(c.name)}`)
+      .join("")}) VALUES (?${", ?".repeat(columns.length)})`
+  );
+  db.run("BEGIN");
   for (const f of features) {
     const p = f.properties || {};
-    const key =
-      f.id ??
-      p.OBJECTID ??
-      p.ogc_fid ??
-      p.FID ??
-      p.id ??
-      // fallback: first coord hash
-      JSON.stringify(
-        (f.geometry &&
-          f.geometry.coordinates &&
-          f.geometry.coordinates[0] &&
-          f.geometry.coordinates[0][0]) ||
-          Math.random()
-      );
-    if (seen.has(key)) continue;
-    seen.add(key);
-    out.push(f);
+    insert.run([
+      gpkgGeometryBlob(f.geometry),
+      ...columns.map(({ name, type }) => {
+        const v = p[name];
+        if (v == null || v === "") return null;
+        if (type === "date") {
+          const d = new Date(v);
+          return isNaN(d) ? null : d.toISOString();
+        }
+        if (type === "bool") return v ? 1 : 0;
+        return type === "number" ? Number(v) : String(v);
+      }),
+    ]);
   }
-  return out;
+  db.run("COMMIT");
+  insert.free();
+
+  const bytes = db.export();
+  db.close();
+  downloadFile(
+    bytes,
+    `${EXPORT_BASENAME}.gpkg`,
+    "application/geopackage+sqlite3"
+  );
 }
 
-// --- Export helpers
-function exportToCSV(features, fields) {
-  const header = fields.join(",");
-  const rows = features.map((f) => {
-    const p = f.properties || {};
-    return fields
-      .map((field) => {
-        const v = p[field];
-        if (v == null) return "";
-        const s = String(v).replace(/"/g, '""');
-        return s.includes(",") ? `"${s}"` : s;
-      })
-      .join(",");
+// GeoPackage binary: "GP" header with xy envelope, then little-endian WKB
+function gpkgGeometryBlob(geometry) {
+  const polys = polygonsOf(geometry);
+  if (!polys.length) return null;
+  const wkb = geometryToWkb({ type: "MultiPolygon", coordinates: polys });
+  const [minX, minY, maxX, maxY] = turf.bbox({
+    type: "Feature",
+    geometry,
+    properties: {},
   });
-  downloadFile(
-    [header, ...rows].join("\n"),
-    "orange_county_zoning_export.csv",
-    "text/csv"
+  const out = new Uint8Array(8 + 32 + wkb.length);
+  const view = new DataView(out.buffer);
+  out[0] = 0x47; // G
+  out[1] = 0x50; // P
+  out[2] = 0; // version
+  out[3] = 0b011; // xy envelope, little-endian
+  view.setInt32(4, 4326, true);
+  [minX, maxX, minY, maxY].forEach((v, i) =>
+    view.setFloat64(8 + i * 8, v, true)
   );
+  out.set(wkb, 40);
+  return out;
 }
 
-function exportToGeoJSON(features, fields) {
-  const gj = {
-    type: "FeatureCollection",
-    features: features.map((f) => ({
-      type: "Feature",
-      geometry: f.geometry,
-      properties: Object.fromEntries(
-        fields.map((fld) => [fld, (f.properties || {})[fld]])
-      ),
-    })),
+// Little-endian WKB for Polygon / MultiPolygon
+function geometryToWkb(geometry) {
+  const polys = polygonsOf(geometry);
+  const multi = geometry.type === "MultiPolygon";
+  const polySize = (rings) =>
+    9 + rings.reduce((n, r) => n + 4 + 16 * r.length, 0);
+  const size = multi
+    ? 9 + polys.reduce((n, rings) => n + polySize(rings), 0)
+    : polySize(polys[0]);
+  const view = new DataView(new ArrayBuffer(size));
+  let o = 0;
+  const writePolygon = (rings) => {
+    view.setUint8(o, 1);
+    view.setUint32(o + 1, 3, true);
+    view.setUint32(o + 5, rings.length, true);
+    o += 9;
+    for (const ring of rings) {
+      view.setUint32(o, ring.length, true);
+      o += 4;
+      for (const [x, y] of ring) {
+        view.setFloat64(o, x, true);
+        view.setFloat64(o + 8, y, true);
+        o += 16;
+      }
+    }
   };
-  downloadFile(
-    JSON.stringify(gj, null, 2),
-    "orange_county_zoning_export.geojson",
-    "application/geo+json"
-  );
+  if (multi) {
+    view.setUint8(0, 1);
+    view.setUint32(1, 6, true);
+    view.setUint32(5, polys.length, true);
+    o = 9;
+    polys.forEach(writePolygon);
+  } else {
+    writePolygon(polys[0]);
+  }
+  return new Uint8Array(view.buffer);
 }
 
-function exportToJSON(features, fields) {
-  const arr = features.map((f) => ({
-    ...f,
-    properties: Object.fromEntries(
-      fields.map((fld) => [fld, (f.properties || {})[fld]])
-    ),
-  }));
-  downloadFile(
-    JSON.stringify(arr, null, 2),
-    "orange_county_zoning_export.json",
-    "application/json"
-  );
+// WKT for Polygon / MultiPolygon (same rings geometryToWkb writes)
+function geometryToWkt(geometry) {
+  const ring = (r) => `(${r.map(([x, y]) => `${x} ${y}`).join(", ")})`;
+  const polygon = (rings) => `(${rings.map(ring).join(", ")})`;
+  const polys = polygonsOf(geometry);
+  if (!polys.length) return null;
+  return geometry.type === "MultiPolygon"
+    ? `MULTIPOLYGON (${polys.map(polygon).join(", ")})`
+    : `POLYGON ${polygon(polys[0])}`;
+}
+
+// Inject a <script> once (for libraries only some exports need)
+const loadedScripts = new Map();
+function loadScript(src) {
+  if (!loadedScripts.has(src)) {
+    loadedScripts.set(
+      src,
+      new Promise((resolve, reject) => {
+        const el = document.createElement("script");
+        el.src = src;
+        el.onload = resolve;
+        el.onerror = () => {
+          loadedScripts.delete(src);
+          reject(new Error(`Could not load ${src}`));
+        };
+        document.head.appendChild(el);
+      })
+    );
+  }
+  return loadedScripts.get(src);
 }
 
 function downloadFile(content, filename, mimeType) {
@@ -923,7 +5691,24 @@ function downloadFile(content, filename, mimeType) {
   URL.revokeObjectURL(url);
 }
 
-// --- Analytics (visible features)
+// --- Analytics
+const ANALYTICS_SCOPES = {
+  viewport: { label: "Visible features", countLabel: "Visible Features" },
+  county: {
+    label: "Entire county",
+    countLabel: "Filtered Features",
+  },
+  area: { label: "Drawn area", countLabel: "Features in Area" },
+  selection: { label: "Selected features", countLabel: "Selected Features" },
+};
+const ANALYTICS_BASENAME = "orange_county_zoning_analytics";
+// state.charts key -> file name in the report zip
+const REPORT_CHART_FILES = {
+  areaByGroup: "chart_area_by_group.png",
+  countsByYear: "chart_counts_by_year.png",
+  areaByCode: "chart_area_by_code.png",
+};
+
 function toggleAnalyticsPanel() {
   if (!state.analyticsPanel) createAnalyticsPanel();
   state.analyticsOpen = !state.analyticsOpen;
@@ -942,11 +5727,24 @@ function createAnalyticsPanel() {
   panel.innerHTML = `
     <div class="analytics-header">
       <h3 style="margin:0;font-size:18px;font-weight:600;">📈 Analytics Dashboard</h3>
-      <div style="display:flex;gap:8px;align-items:center;">
-        <small id="analyticsScope" style="opacity:.85;">Scope: Visible features</small>
-        <button id="analyticsClose" class="close-btn" aria-label="Close analytics">×</button>
-      </div>
+      <button id="analyticsClose" class="close-btn" aria-label="Close analytics">×</button>
+    </div>
+
+    <div class="analytics-scope-bar">
+      <label>
+        Scope
+        <select id="analyticsScopeSelect">
+          ${Object.entries(ANALYTICS_SCOPES)
+            .map(([value, s]) => `<option value="${value}">${s.label}</option>`)
+            .join("")}
+        </select>
+      </label>
+      <small id="analyticsScope"></small>
+      <button id="analyticsClearSelection" class="action-btn" hidden>Clear selection</button>
+      <button id="analyticsSummaryCsv" class="action-btn">⬇ Summary CSV</button>
+      <button id="analyticsReport" class="action-btn" title="Chart images, CSV tables and filter metadata">⬇ Report (.zip)</button>
     </div>
+    <div class="chart-filter-bar" hidden></div>
 
     <div class="kpi-row">
       <div class="kpi"><span class="label">Visible Features</span><span class="value" id="kpiCount">—</span></div>
@@ -955,19 +5753,57 @@ function createAnalyticsPanel() {
       <div class="kpi"><span class="label">Filtered Years</span><span class="value" id="kpiYears">—</span></div>
     </div>
 
+    <div class="kpi-row" id="kpiConsistencyRow" style="display:none;">
+      <div class="kpi"><span class="label">Inconsistent Districts</span><span class="value" id="kpiInconsistent">—</span></div>
+      <div class="kpi"><span class="label">Partially Consistent</span><span class="value" id="kpiPartial">—</span></div>
+      <div class="kpi"><span class="label">Inconsistent Acres</span><span class="value" id="kpiInconsistentAcres">—</span></div>
+      <div class="kpi"><span class="label">Analyzed</span><span class="value" id="kpiAnalyzed">—</span></div>
+    </div>
+
     <div class="analytics-grid">
       <div class="chart-container">
-        <h4>Area by Zoning Group</h4>
+        <h4>Area by Zoning Group<span class="chart-scope"></span></h4>
         <canvas id="chartAreaByGroup"></canvas>
       </div>
       <div class="chart-container">
-        <h4>Rezonings Over Time</h4>
+        <h4>Rezonings Over Time<span class="chart-scope"></span></h4>
         <canvas id="chartCountsByYear"></canvas>
       </div>
       <div class="chart-container">
-        <h4>Top Zoning Codes</h4>
+        <h4>Top Zoning Codes<span class="chart-scope"></span></h4>
         <canvas id="chartAreaByCode"></canvas>
       </div>
+      <div class="chart-container">
+        <h4>Rezoning Transitions<span class="chart-scope"></span></h4>
+        <div class="transition-controls">
+          <label>
+            By
+            <select id="transitionLevel">
+              ${Object.entries(TRANSITION_LEVELS)
+                .map(
+                  ([value, label]) =>
+                    `<option value="${value}">${label}</option>`
+                )
+                .join("")}
+            </select>
+          </label>
+          <label>
+            Show
+            <select id="transitionMetric">
+              ${Object.entries(TRANSITION_METRICS)
+                .map(
+                  ([value, label]) =>
+                    `<option value="${value}">${label}</option>`
+                )
+                .join("")}
+            </select>
+          </label>
+          <small>${escapeHtml(FIELDS.previousCode)} → ${escapeHtml(
+    FIELDS.code
+  )}. Click a cell to show those districts on the map.</small>
+        </div>
+        <div id="transitionMatrix" class="transition-matrix"></div>
+      </div>
     </div>
   `;
   document.body.appendChild(panel);
@@ -977,74 +5813,392 @@ function createAnalyticsPanel() {
     state.analyticsOpen = false;
     removeAnalyticsBindings();
   };
+  document.getElementById("analyticsScopeSelect").onchange = (e) => {
+    state.analyticsScope = e.target.value;
+    updateAnalyticsFromMapView();
+  };
+  document.getElementById("analyticsClearSelection").onclick = clearPicked;
+  document.getElementById("analyticsSummaryCsv").onclick =
+    exportAnalyticsSummary;
+  document.getElementById("analyticsReport").onclick = () =>
+    exportAnalyticsReport().catch((err) => {
+      console.error(err);
+      showNotification("Could not build the analytics report", "error");
+    });
+  wireYearBrush(document.getElementById("chartCountsByYear"));
+  ["transitionLevel", "transitionMetric"].forEach((id) => {
+    document.getElementById(id).onchange = () => {
+      state.transitionView = {
+        level: document.getElementById("transitionLevel").value,
+        metric: document.getElementById("transitionMetric").value,
+      };
+      if (state.analyticsSummary)
+        renderTransitionMatrix(state.analyticsSummary);
+    };
+  });
+  document.getElementById("transitionMatrix").onclick = onTransitionCellClick;
+  renderChartFilterBars();
 
   state.analyticsPanel = panel;
 }
 
 function bindAnalyticsToMap() {
   if (state.analyticsHandlersBound) return;
-  state.map.on("moveend", updateAnalyticsDebounced);
-  state.map.on("zoomend", updateAnalyticsDebounced);
+  state.map.on("moveend", onAnalyticsViewChange);
+  state.map.on("zoomend", onAnalyticsViewChange);
   state.analyticsHandlersBound = true;
 }
 
 function removeAnalyticsBindings() {
   if (!state.analyticsHandlersBound) return;
-  state.map.off("moveend", updateAnalyticsDebounced);
-  state.map.off("zoomend", updateAnalyticsDebounced);
+  state.map.off("moveend", onAnalyticsViewChange);
+  state.map.off("zoomend", onAnalyticsViewChange);
   state.analyticsHandlersBound = false;
 }
 
-function updateAnalyticsFromMapView() {
-  if (!state.analyticsOpen) return;
+// Only the viewport scope depends on the view
+function onAnalyticsViewChange() {
+  if (effectiveAnalyticsScope() === "viewport") updateAnalyticsDebounced();
+}
 
-  // If vector, we already pushed layer filters; if geojson, layer filters also applied (plus year handled in analytics)
-  let features = getVisibleFilteredFeatures();
+async function updateAnalyticsFromMapView() {
+  if (!state.analyticsOpen) return;
+  const run = ++state.analyticsRun;
+  updateAnalyticsScopeLabel();
 
-  // In GeoJSON mode, enforce year window on analytics (map filter may not strictly enforce it)
-  if (state.zoningMode === "geojson") {
-    features = features.filter((f) => {
-      const y = parseAnyYear(f.properties || {});
-      return !y || (y >= state.filters.yearMin && y <= state.filters.yearMax);
+  let summary;
+  try {
+    summary = await computeAnalyticsSummary((partial) => {
+      if (run === state.analyticsRun) renderAnalyticsSummary(partial);
     });
+  } catch (err) {
+    console.error(err);
+    showNotification("Could not update analytics", "error");
+    return;
   }
+  if (!summary || run !== state.analyticsRun) return; // superseded
+  state.analyticsSummary = summary;
+  renderAnalyticsSummary(summary);
+}
 
-  // --- compute summaries
-  const areaByGroup = {};
-  const countsByYear = {};
-  const areaByCode = {};
-  let totalAcres = 0;
-
-  for (const f of features) {
-    const p = f.properties || {};
-    const grp = p.z_group || "Other";
-    const acres = Number(p.area_acres || 0);
-    areaByGroup[grp] = (areaByGroup[grp] || 0) + acres;
-    totalAcres += acres;
-
-    const y = parseAnyYear(p);
-    if (y) countsByYear[y] = (countsByYear[y] || 0) + 1;
-
-    const code = p.ZONING || "Unknown";
-    areaByCode[code] = (areaByCode[code] || 0) + acres;
+// Summary for the current scope and filters; null when superseded
+async function computeAnalyticsSummary(onProgress) {
+  const scope = effectiveAnalyticsScope();
+  if (scope === "area") {
+    // filtered features intersecting the drawn area, acres clipped to it
+    return summarizeFeatures(await getFeaturesInDrawnArea());
   }
+  if (scope === "selection") {
+    // shift-clicked districts that pass the filters
+    return summarizeFeatures(
+      filterGeoJSONFeatures(
+        [...state.picked].map(([id, properties]) => ({ id, properties }))
+      )
+    );
+  }
+  if (state.zoningMode === "geojson") {
+    // aggregated in the data worker; partial results stream in while it runs
+    return workerRequest(
+      "aggregate",
+      {
+        name: "zoning",
+        bbox: scope === "viewport" ? viewBbox() : null,
+        filter: buildFilterExpression(),
+        dateFields: activeDateFields(),
+        idField: FIELDS.id,
+      },
+      { channel: "analytics", onProgress }
+    );
+  }
+  if (scope === "county") {
+    // whole archive at full detail, read once and cached
+    return summarizeFeatures(
+      filterGeoJSONFeatures(await loadFullVectorDataset())
+    );
+  }
+  // what the (filtered) layer renders
+  return summarizeFeatures(getVisibleFilteredFeatures());
+}
+
+function summarizeFeatures(features) {
+  const summary = createSummary();
+  const dateFields = activeDateFields();
+  for (const f of features)
+    addToSummary(summary, f.properties || {}, featureId(f), dateFields);
+  return summary;
+}
 
+function renderAnalyticsSummary(summary) {
   // KPIs
   document.getElementById("kpiCount").textContent =
-    features.length.toLocaleString();
-  document.getElementById("kpiAcres").textContent = totalAcres.toLocaleString(
-    undefined,
-    { maximumFractionDigits: 0 }
-  );
+    summary.count.toLocaleString();
+  document.getElementById("kpiAcres").textContent =
+    summary.totalAcres.toLocaleString(undefined, { maximumFractionDigits: 0 });
   const topGroup =
-    Object.entries(areaByGroup).sort((a, b) => b[1] - a[1])[0]?.[0] || "—";
+    Object.entries(summary.areaByGroup).sort((a, b) => b[1] - a[1])[0]?.[0] ||
+    "—";
   document.getElementById("kpiTopGroup").textContent = topGroup;
   document.getElementById(
     "kpiYears"
   ).textContent = `${state.filters.yearMin}–${state.filters.yearMax}`;
 
+  updateConsistencyKpis(summary.members);
+
   // Charts
-  createAnalyticsCharts(areaByGroup, countsByYear, areaByCode);
+  createAnalyticsCharts(
+    summary.areaByGroup,
+    summary.countsByYear,
+    summary.areaByCode
+  );
+  renderTransitionMatrix(summary);
+}
+
+// Drawn-area scope falls back to the viewport once the shape is cleared
+function effectiveAnalyticsScope() {
+  return state.analyticsScope === "area" && !state.draw.shape
+    ? "viewport"
+    : state.analyticsScope;
+}
+
+function analyticsScopeDetail(scope) {
+  if (scope === "county")
+    return state.zoningMode === "vector" ? "all tiles, full detail" : "";
+  if (scope === "selection") {
+    const n = state.picked.size;
+    return `${n.toLocaleString()} district${n === 1 ? "" : "s"} picked`;
+  }
+  if (scope !== "area") return "";
+  const acres = turf.area(state.draw.shape) / SQ_METERS_PER_ACRE;
+  return `${acres.toLocaleString(undefined, { maximumFractionDigits: 0 })} ac`;
+}
+
+// e.g. "Drawn area (120 ac)"; used by the panel, chart titles and exports
+function analyticsScopeText() {
+  const scope = effectiveAnalyticsScope();
+  const detail = analyticsScopeDetail(scope);
+  return `${ANALYTICS_SCOPES[scope].label}${detail ? ` (${detail})` : ""}`;
+}
+
+function updateAnalyticsScopeLabel() {
+  const scope = effectiveAnalyticsScope();
+  const select = document.getElementById("analyticsScopeSelect");
+  select.value = scope;
+  select.querySelector('option[value="area"]').disabled = !state.draw.shape;
+  document.getElementById("analyticsScope").textContent =
+    scope === "selection"
+      ? `${analyticsScopeDetail(
+          scope
+        )}: shift-click districts on the map to add or remove them`
+      : analyticsScopeDetail(scope);
+  document.getElementById("analyticsClearSelection").hidden =
+    scope !== "selection" || !state.picked.size;
+
+  const text = analyticsScopeText();
+  state.analyticsPanel
+    .querySelectorAll(".chart-scope")
+    .forEach((el) => (el.textContent = text));
+  const countLabel =
+    document.querySelector("#kpiCount")?.previousElementSibling;
+  if (countLabel) countLabel.textContent = ANALYTICS_SCOPES[scope].countLabel;
+}
+
+// KPI and aggregate tables of a summary, each with a header row
+function analyticsTables(summary) {
+  const byValue = (obj) => Object.entries(obj).sort((a, b) => b[1] - a[1]);
+  const acres = (v) => Number(v.toFixed(2));
+  return {
+    kpis: [
+      ["KPI", "Value"],
+      [ANALYTICS_SCOPES[effectiveAnalyticsScope()].countLabel, summary.count],
+      ["Total acres", acres(summary.totalAcres)],
+      ["Top group", byValue(summary.areaByGroup)[0]?.[0] || ""],
+    ],
+    areaByGroup: [
+      ["Zoning group", "Acres"],
+      ...byValue(summary.areaByGroup).map(([k, v]) => [k, acres(v)]),
+    ],
+    countsByYear: [
+      ["Year", "Rezonings"],
+      ...Object.entries(summary.countsByYear).sort((a, b) => a[0] - b[0]),
+    ],
+    areaByCode: [
+      ["Zoning code", "Acres"],
+      ...byValue(summary.areaByCode).map(([k, v]) => [k, acres(v)]),
+    ],
+    transitions: [
+      [
+        "Previous code",
+        "Current code",
+        "Previous group",
+        "Current group",
+        "Districts",
+        "Acres",
+      ],
+      ...transitionList(summary)
+        .sort((a, b) => b.count - a.count)
+        .map((t) => [
+          t.oldCode,
+          t.newCode,
+          t.oldGroup,
+          t.newGroup,
+          t.count,
+          acres(t.acres),
+        ]),
+    ],
+  };
+}
+
+// KPIs and aggregates of the last complete summary as a sectioned CSV
+function exportAnalyticsSummary() {
+  const summary = state.analyticsSummary;
+  if (!summary) {
+    showNotification("Analytics are still loading", "error");
+    return;
+  }
+  downloadFile(
+    csvText(analyticsSummaryRows(summary)),
+    `${ANALYTICS_BASENAME}_summary.csv`,
+    "text/csv;charset=utf-8"
+  );
+}
+
+function analyticsSummaryRows(summary) {
+  const tables = analyticsTables(summary);
+  return [
+    [`${SITE.jurisdiction} zoning — analytics summary`],
+    ["Scope", analyticsScopeText()],
+    ["Generated", new Date().toISOString()],
+    ["Data source", describeDataSource()],
+    ...describeActiveFilters(),
+    [],
+    ...tables.kpis,
+    [],
+    ...tables.areaByGroup,
+    [],
+    ...tables.countsByYear,
+    [],
+    ...tables.areaByCode,
+    [],
+    ...tables.transitions,
+  ];
+}
+
+// Zip of chart PNGs, one CSV per table, the sectioned summary and a JSON
+// record of the filters and map view the numbers were computed for
+async function exportAnalyticsReport() {
+  const summary = state.analyticsSummary;
+  if (!summary) {
+    showNotification("Analytics are still loading", "error");
+    return;
+  }
+  const tables = analyticsTables(summary);
+  const scope = analyticsScopeText();
+  const zip = new JSZip();
+
+  zip.file("summary.csv", csvText(analyticsSummaryRows(summary)));
+  zip.file("kpis.csv", csvText(tables.kpis));
+  zip.file("area_by_group.csv", csvText(tables.areaByGroup));
+  zip.file("counts_by_year.csv", csvText(tables.countsByYear));
+  zip.file("area_by_code.csv", csvText(tables.areaByCode));
+  zip.file("transitions.csv", csvText(tables.transitions));
+
+  for (const [key, file] of Object.entries(REPORT_CHART_FILES)) {
+    const chart = state.charts[key];
+    if (!chart) continue;
+    const title = chart.canvas.previousElementSibling.firstChild.textContent;
+    zip.file(file, await chartImage(chart, title, scope));
+  }
+
+  const bounds = state.map.getBounds();
+  const center = state.map.getCenter();
+  const report = {
+    generated: new Date().toISOString(),
+    dataSource: describeDataSource(),
+    scope: {
+      mode: effectiveAnalyticsScope(),
+      label: scope,
+      drawnArea: effectiveAnalyticsScope() === "area" ? state.draw.shape : null,
+      selectedIds:
+        effectiveAnalyticsScope() === "selection"
+          ? [...state.picked.keys()]
+          : null,
+    },
+    filters: { ...state.filters },
+    chartFilters: [...state.chartFilters],
+    map: {
+      bounds: [
+        bounds.getWest(),
+        bounds.getSouth(),
+        bounds.getEast(),
+        bounds.getNorth(),
+      ],
+      center: [center.lng, center.lat],
+      zoom: state.map.getZoom(),
+      permalink: window.location.href,
+    },
+  };
+  zip.file("filters.json", JSON.stringify(report, null, 2));
+
+  const blob = await zip.generateAsync({ type: "blob" });
+  downloadFile(blob, `${ANALYTICS_BASENAME}_report.zip`, "application/zip");
+  showNotification("Analytics report downloaded", "success");
+}
+
+// Chart canvas on the panel background with its title and scope above it
+function chartImage(chart, title, scope) {
+  const ratio = window.devicePixelRatio || 1;
+  const pad = 16 * ratio;
+  const titleSize = 16 * ratio;
+  const scopeSize = 12 * ratio;
+  const header = pad + titleSize + 6 * ratio + scopeSize + pad;
+  const src = chart.canvas;
+  const canvas = document.createElement("canvas");
+  canvas.width = src.width + 2 * pad;
+  canvas.height = src.height + header + pad;
+
+  const styles = getComputedStyle(state.analyticsPanel);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = styles.backgroundColor;
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.textBaseline = "top";
+  ctx.fillStyle = styles.color;
+  ctx.font = `600 ${titleSize}px ${styles.fontFamily}`;
+  ctx.fillText(title, pad, pad);
+  ctx.globalAlpha = 0.7;
+  ctx.font = `${scopeSize}px ${styles.fontFamily}`;
+  ctx.fillText(scope, pad, pad + titleSize + 6 * ratio);
+  ctx.globalAlpha = 1;
+  ctx.drawImage(src, pad, header);
+
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+}
+
+// members: [featureId, acres] of the districts in scope
+function updateConsistencyKpis(members) {
+  const row = document.getElementById("kpiConsistencyRow");
+  row.style.display = state.consistency.enabled ? "" : "none";
+  if (!state.consistency.enabled) return;
+
+  let inconsistent = 0;
+  let partial = 0;
+  let analyzed = 0;
+  let inconsistentAcres = 0;
+  for (const [id, acres] of members) {
+    const r = state.consistency.results.get(id);
+    if (!r) continue;
+    analyzed++;
+    if (r.status === "inconsistent") inconsistent++;
+    if (r.status === "partial") partial++;
+    if (r.share != null) inconsistentAcres += acres * (1 - r.share);
+  }
+  document.getElementById("kpiInconsistent").textContent =
+    inconsistent.toLocaleString();
+  document.getElementById("kpiPartial").textContent = partial.toLocaleString();
+  document.getElementById("kpiInconsistentAcres").textContent =
+    inconsistentAcres.toLocaleString(undefined, { maximumFractionDigits: 0 });
+  document.getElementById(
+    "kpiAnalyzed"
+  ).textContent = `${analyzed.toLocaleString()} / ${members.length.toLocaleString()}`;
 }
 
 function createAnalyticsCharts(areaByGroup, countsByYear, areaByCode) {
@@ -1141,10 +6295,15 @@ function createAnalyticsCharts(areaByGroup, countsByYear, areaByCode) {
     options: {
       ...commonOptions,
       interaction: { intersect: false, mode: "index" },
+      onClick: (e, elements) => {
+        if (elements.length)
+          applyChartFilter("group", groupData[elements[0].index].key);
+      },
+      onHover: pointerOnElements,
     },
   });
 
-  // Counts by year
+  // Counts by year (click or drag across it: handled by wireYearBrush)
   const ctx2 = document.getElementById("chartCountsByYear");
   if (state.charts.countsByYear) state.charts.countsByYear.destroy();
   const yearData = Object.entries(countsByYear)
@@ -1192,9 +6351,7 @@ function createAnalyticsCharts(areaByGroup, countsByYear, areaByCode) {
       datasets: [
         {
           data: codeData.map((r) => r.v),
-          backgroundColor: codeData.map(
-            (_, i) => `hsl(${(i * 137.508) % 360}, 70%, 60%)`
-          ),
+          backgroundColor: codeData.map((_, i) => codeColor(i)),
           borderWidth: 2,
           borderColor: "#2a3152",
         },
@@ -1203,6 +6360,11 @@ function createAnalyticsCharts(areaByGroup, countsByYear, areaByCode) {
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      onClick: (e, elements) => {
+        const code = elements.length ? codeData[elements[0].index].k : null;
+        if (code && code !== "Unknown") applyChartFilter("zoningCode", code);
+      },
+      onHover: pointerOnElements,
       plugins: {
         legend: {
           position: "bottom",
@@ -1234,6 +6396,321 @@ function createAnalyticsCharts(areaByGroup, countsByYear, areaByCode) {
   });
 }
 
+// --- Rezoning transitions
+// ZONINGOLD -> ZONING for the districts in scope, as a heatmap by group or
+// by code. Old codes take the group that the same code has as a current
+// code in the summary; codes no current district uses fall back to these
+// rules (first match wins), then to "Other".
+const ZONING_CODE_GROUP_RULES = [
+  ["Planned Development", /^(PD|PUD|UV|UR)\b|\bPD\b/i],
+  ["Mixed Use", /mixed|^MU\b|^MXD?\b/i],
+  ["Agricultural", /^A-?\d|^A-?R\b/i],
+  ["Industrial", /^I-?\d|^IND/i],
+  ["Commercial", /^C-?\d|^P-?O\b|^COMM?/i],
+  ["Residential", /^R/i],
+];
+
+const TRANSITION_LEVELS = {
+  group: "Zoning group",
+  code: "Zoning code",
+};
+const TRANSITION_METRICS = { count: "Districts", acres: "Acres" };
+// Code matrix keeps the busiest old and new codes (by the chosen metric)
+const TRANSITION_TOP_CODES = 12;
+
+function codeGroup(code, summary) {
+  if (summary.groupByCode[code]) return summary.groupByCode[code];
+  const rule = ZONING_CODE_GROUP_RULES.find(([, re]) => re.test(code));
+  return rule ? rule[0] : "Other";
+}
+
+// Flat list of transitions: { oldCode, newCode, oldGroup, newGroup, count, acres }
+function transitionList(summary) {
+  const list = [];
+  for (const [oldCode, row] of Object.entries(summary.transitions)) {
+    for (const [newCode, cell] of Object.entries(row)) {
+      list.push({
+        oldCode,
+        newCode,
+        oldGroup: codeGroup(oldCode, summary),
+        newGroup: summary.groupByCode[newCode] || "Other",
+        ...cell,
+      });
+    }
+  }
+  return list;
+}
+
+// { rows, cols, cells: Map("row\u0000col" -> { count, acres, oldCodes }) }
+function transitionMatrix(summary, level, metric) {
+  const cells = new Map();
+  const rowTotals = {};
+  const colTotals = {};
+  for (const t of transitionList(summary)) {
+    const from = level === "code" ? t.oldCode : t.oldGroup;
+    const to = level === "code" ? t.newCode : t.newGroup;
+    const key = `${from}\u0000${to}`;
+    const cell = cells.get(key) || { count: 0, acres: 0, oldCodes: [] };
+    cell.count += t.count;
+    cell.acres += t.acres;
+    if (!cell.oldCodes.includes(t.oldCode)) cell.oldCodes.push(t.oldCode);
+    cells.set(key, cell);
+    rowTotals[from] = (rowTotals[from] || 0) + t[metric];
+    colTotals[to] = (colTotals[to] || 0) + t[metric];
+  }
+
+  const order = (totals) => {
+    const keys = Object.keys(totals);
+    if (level === "group") {
+      const groups = Object.keys(colors);
+      return keys.sort((a, b) => groups.indexOf(a) - groups.indexOf(b));
+    }
+    return keys
+      .sort((a, b) => totals[b] - totals[a])
+      .slice(0, TRANSITION_TOP_CODES);
+  };
+  return { rows: order(rowTotals), cols: order(colTotals), cells };
+}
+
+function renderTransitionMatrix(summary) {
+  const el = document.getElementById("transitionMatrix");
+  if (!el) return;
+  const { level, metric } = state.transitionView;
+  const { rows, cols, cells } = transitionMatrix(summary, level, metric);
+  if (!rows.length) {
+    el.innerHTML = `<p class="transition-empty">No districts in scope record a previous zoning code.</p>`;
+    return;
+  }
+
+  let max = 0;
+  cells.forEach((c) => (max = Math.max(max, c[metric])));
+  const format = (v) =>
+    v.toLocaleString(undefined, { maximumFractionDigits: 0 });
+  const active = state.filters.transition;
+
+  const head = cols
+    .map((c) => `<th scope="col">${escapeHtml(c)}</th>`)
+    .join("");
+  const body = rows
+    .map((from) => {
+      const tds = cols
+        .map((to) => {
+          const cell = cells.get(`${from}\u0000${to}`);
+          if (!cell) return "<td></td>";
+          const selected =
+            active &&
+            active.level === level &&
+            active.from === from &&
+            active.to === to;
+          const classes = [
+            from === to ? "unchanged" : "",
+            selected ? "selected" : "",
+            to === "Unknown" ? "" : "clickable",
+          ]
+            .filter(Boolean)
+            .join(" ");
+          const title = `${from} → ${to}: ${cell.count.toLocaleString()} districts, ${format(
+            cell.acres
+          )} ac`;
+          return `<td class="${classes}" style="--heat:${(
+            cell[metric] / max
+          ).toFixed(3)}" data-from="${escapeHtml(from)}" data-to="${escapeHtml(
+            to
+          )}" title="${escapeHtml(title)}">${format(cell[metric])}</td>`;
+        })
+        .join("");
+      return `<tr><th scope="row">${escapeHtml(from)}</th>${tds}</tr>`;
+    })
+    .join("");
+
+  el.innerHTML = `
+    <table>
+      <thead><tr><th class="corner">Previous ↓ / Current →</th>${head}</tr></thead>
+      <tbody>${body}</tbody>
+    </table>
+  `;
+}
+
+function onTransitionCellClick(e) {
+  const td = e.target.closest("td.clickable");
+  const summary = state.analyticsSummary;
+  if (!td || !summary) return;
+  const { level, metric } = state.transitionView;
+  const { from, to } = td.dataset;
+  const cell = transitionMatrix(summary, level, metric).cells.get(
+    `${from}\u0000${to}`
+  );
+  if (!cell) return;
+  applyChartFilter("transition", {
+    level,
+    from,
+    to,
+    oldCodes: [...cell.oldCodes].sort(),
+  });
+}
+
+function transitionLabel(t = state.filters.transition) {
+  return `${t.from} → ${t.to} (${TRANSITION_LEVELS[t.level].toLowerCase()})`;
+}
+
+// --- Chart cross-filtering
+// Clicking a group bar, a year (or dragging across a span of years), a
+// zoning-code slice or a transition cell sets that filter for the whole app; clicking the same
+// value again clears it. Chips list what the charts set.
+function applyChartFilter(kind, value) {
+  const f = state.filters;
+  if (kind === "group") {
+    f.group = f.group === value ? "ALL" : value;
+    if (f.group === "ALL") state.chartFilters.delete("group");
+    else state.chartFilters.add("group");
+  } else if (kind === "years") {
+    const [lo, hi] = value.map((y) =>
+      Math.min(Math.max(y, DEFAULT_FILTERS.yearMin), DEFAULT_FILTERS.yearMax)
+    );
+    if (
+      state.chartFilters.has("years") &&
+      f.yearMin === lo &&
+      f.yearMax === hi
+    ) {
+      clearChartFilter("years");
+      return;
+    }
+    [f.yearMin, f.yearMax] = [lo, hi];
+    state.chartFilters.add("years");
+  } else if (kind === "zoningCode") {
+    f.zoningCode = f.zoningCode === value ? "" : value;
+  } else if (kind === "transition") {
+    const same =
+      f.transition &&
+      ["level", "from", "to"].every((k) => f.transition[k] === value[k]);
+    f.transition = same ? null : value;
+  }
+  chartFiltersChanged();
+}
+
+function clearChartFilter(kind) {
+  resetChartFilter(kind);
+  chartFiltersChanged();
+}
+
+function clearChartFilters() {
+  for (const [kind] of chartFilterEntries()) resetChartFilter(kind);
+  chartFiltersChanged();
+}
+
+function resetChartFilter(kind) {
+  const f = state.filters;
+  if (kind === "group") f.group = DEFAULT_FILTERS.group;
+  if (kind === "years") {
+    f.yearMin = DEFAULT_FILTERS.yearMin;
+    f.yearMax = DEFAULT_FILTERS.yearMax;
+  }
+  if (kind === "zoningCode") f.zoningCode = "";
+  if (kind === "transition") f.transition = null;
+  state.chartFilters.delete(kind);
+}
+
+// A sidebar edit takes ownership of a filter a chart had set
+function adoptChartFilter(kind) {
+  if (state.chartFilters.delete(kind)) renderChartFilterBars();
+}
+
+function chartFiltersChanged() {
+  syncControlsFromState();
+  renderChartFilterBars();
+  applyAllFilters();
+}
+
+// [kind, label] of the active chart-driven filters
+function chartFilterEntries() {
+  const f = state.filters;
+  const entries = [];
+  if (state.chartFilters.has("group"))
+    entries.push(["group", `Group: ${f.group}`]);
+  if (state.chartFilters.has("years"))
+    entries.push([
+      "years",
+      f.yearMin === f.yearMax
+        ? `Year: ${f.yearMin}`
+        : `Years: ${f.yearMin}–${f.yearMax}`,
+    ]);
+  if (f.zoningCode) entries.push(["zoningCode", `Code: ${f.zoningCode}`]);
+  if (f.transition)
+    entries.push(["transition", `Rezoned: ${transitionLabel()}`]);
+  return entries;
+}
+
+function renderChartFilterBars() {
+  const entries = chartFilterEntries();
+  const html = entries.length
+    ? entries
+        .map(
+          ([kind, label]) =>
+            `<button class="chart-filter-chip" data-kind="${kind}" title="Remove this filter">${escapeHtml(
+              label
+            )} ×</button>`
+        )
+        .join("") +
+      `<button class="chart-filter-clear">Clear chart filters</button>`
+    : "";
+  document.querySelectorAll(".chart-filter-bar").forEach((bar) => {
+    bar.hidden = !entries.length;
+    bar.innerHTML = html;
+  });
+}
+
+function pointerOnElements(e, elements) {
+  e.native.target.style.cursor = elements.length ? "pointer" : "default";
+}
+
+// Click a year, or drag across the chart to select a span of years. The
+// canvas outlives the chart (it is rebuilt on every update), so listeners
+// go on the canvas and read the current chart when they fire.
+function wireYearBrush(canvas) {
+  const brush = document.createElement("div");
+  brush.className = "chart-brush";
+  canvas.parentElement.appendChild(brush);
+  let startX = null;
+
+  const localX = (e) => e.clientX - canvas.getBoundingClientRect().left;
+  const yearAt = (x) => {
+    const chart = state.charts.countsByYear;
+    const labels = chart?.data.labels || [];
+    if (!labels.length) return null;
+    const i = Math.round(chart.scales.x.getValueForPixel(x));
+    return labels[Math.min(Math.max(i, 0), labels.length - 1)];
+  };
+
+  canvas.addEventListener("pointerdown", (e) => {
+    startX = localX(e);
+    canvas.setPointerCapture(e.pointerId);
+  });
+  canvas.addEventListener("pointermove", (e) => {
+    if (startX == null) return;
+    const x = localX(e);
+    Object.assign(brush.style, {
+      display: "block",
+      left: `${canvas.offsetLeft + Math.min(startX, x)}px`,
+      width: `${Math.abs(x - startX)}px`,
+      top: `${canvas.offsetTop}px`,
+      height: `${canvas.offsetHeight}px`,
+    });
+  });
+  canvas.addEventListener("pointerup", (e) => {
+    if (startX == null) return;
+    const from = yearAt(startX);
+    const to = yearAt(localX(e));
+    startX = null;
+    brush.style.display = "none";
+    if (from == null) return;
+    applyChartFilter("years", [Math.min(from, to), Math.max(from, to)]);
+  });
+  canvas.addEventListener("pointercancel", () => {
+    startX = null;
+    brush.style.display = "none";
+  });
+}
+
 // --- Notifications & helpers
 function showNotification(message, type = "info") {
   const n = document.createElement("div");
@@ -1248,11 +6725,57 @@ function showNotification(message, type = "info") {
   setTimeout(() => n.remove(), 3000);
 }
 
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Bottom-center progress bar for long reads; update(fraction, text), close()
+function createProgressToast(title) {
+  const el = document.createElement("div");
+  el.style.cssText = `
+    position:fixed; bottom:24px; left:50%; transform:translateX(-50%);
+    background: rgba(22, 26, 46, 0.95); color:#e9edf5; border:1px solid #2a3152;
+    border-radius:8px; padding:12px 16px; font-size:13px; z-index:3000;
+    box-shadow:0 4px 12px rgba(0,0,0,0.3); width:min(360px, 90vw);
+  `;
+  el.innerHTML = `
+    <div style="margin-bottom:8px;">${escapeHtml(title)}</div>
+    <div style="height:6px;background:#2a3152;border-radius:3px;overflow:hidden;">
+      <div data-bar style="height:100%;width:0;background:#6aa6ff;transition:width 0.2s;"></div>
+    </div>
+    <small data-text style="display:block;margin-top:6px;color:#9aa3b2;"></small>
+  `;
+  document.body.appendChild(el);
+  return {
+    update(fraction, text) {
+      el.querySelector("[data-bar]").style.width = `${Math.round(
+        Math.min(Math.max(fraction, 0), 1) * 100
+      )}%`;
+      if (text != null) el.querySelector("[data-text]").textContent = text;
+    },
+    close() {
+      el.remove();
+    },
+  };
+}
+
 function closeAboutModal() {
   const modal = document.getElementById("aboutModal");
   if (modal) modal.style.display = "none";
 }
 
+// Resolves once the map has rendered everything currently requested
+function whenMapIdle() {
+  return new Promise((resolve) => {
+    state.map.once("idle", resolve);
+    state.map.triggerRepaint();
+  });
+}
+
 function debounce(fn, ms) {
   let t;
   return (...args) => {
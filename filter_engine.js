@@ -0,0 +1,256 @@
+// Filter engine shared by the page (app_maplibre.js) and the GeoJSON data
+// worker (geojson_worker.js): evaluates the filter expressions the page
+// builds, and accumulates the analytics summaries, so both sides count the
+// same districts the same way. Plain script; no access to the map or DOM.
+
+// Zoning attribute names by role. config.json can rename them: the page
+// assigns its mapping here and passes it to the worker ("configure").
+const FIELDS = {
+  code: "ZONING", // zoning district code
+  previousCode: "ZONINGOLD", // code before the last rezoning
+  group: "z_group", // category, one of the configured categories
+  pdName: "PD_NAME", // Planned Development name
+  acres: "area_acres",
+  id: "OBJECTID", // promoted to feature ids (feature-state, tile stitching)
+};
+
+// --- Expression compiler
+// Evaluates the subset of MapLibre expressions the filters are built from,
+// with MapLibre's rules: missing properties read as null, to-number(null) is
+// 0, ordering across types is an error, and a filter that errors excludes
+// the feature.
+function compileFilter(expr) {
+  const evaluate = compileExpression(expr);
+  return (properties) => {
+    try {
+      return Boolean(evaluate(properties || {}));
+    } catch (err) {
+      return false;
+    }
+  };
+}
+
+function compileExpression(expr) {
+  if (!Array.isArray(expr)) return () => expr;
+  const [op, ...args] = expr;
+  if (op === "literal") return () => args[0];
+  const build = EXPRESSION_OPS[op];
+  if (!build) throw new Error(`Unsupported filter expression "${op}"`);
+  return build(args.map(compileExpression));
+}
+
+const EXPRESSION_OPS = {
+  all: (args) => (p) => args.every((a) => a(p)),
+  any: (args) => (p) => args.some((a) => a(p)),
+  "!":
+    ([a]) =>
+    (p) =>
+      !a(p),
+  "==":
+    ([a, b]) =>
+    (p) =>
+      a(p) === b(p),
+  "!=":
+    ([a, b]) =>
+    (p) =>
+      a(p) !== b(p),
+  "<": orderedComparison((x, y) => x < y),
+  "<=": orderedComparison((x, y) => x <= y),
+  ">": orderedComparison((x, y) => x > y),
+  ">=": orderedComparison((x, y) => x >= y),
+  get:
+    ([key]) =>
+    (p) => {
+      const v = p[key(p)];
+      return v === undefined ? null : v;
+    },
+  has:
+    ([key]) =>
+    (p) =>
+      key(p) in p,
+  coalesce: (args) => (p) => {
+    for (const a of args) {
+      const v = a(p);
+      if (v != null) return v;
+    }
+    return null;
+  },
+  "to-number": (args) => (p) => {
+    for (const a of args) {
+      const v = a(p);
+      if (v === null) return 0;
+      const n = Number(v);
+      if (!isNaN(n)) return n;
+    }
+    throw new Error("Could not convert value to number");
+  },
+  "to-string":
+    ([a]) =>
+    (p) => {
+      const v = a(p);
+      if (v === null) return "";
+      return typeof v === "object" ? JSON.stringify(v) : String(v);
+    },
+  downcase:
+    ([a]) =>
+    (p) =>
+      String(a(p)).toLowerCase(),
+  upcase:
+    ([a]) =>
+    (p) =>
+      String(a(p)).toUpperCase(),
+  "index-of":
+    ([needle, haystack]) =>
+    (p) =>
+      haystack(p).indexOf(needle(p)),
+  in:
+    ([needle, haystack]) =>
+    (p) =>
+      haystack(p).indexOf(needle(p)) !== -1,
+  typeof:
+    ([a]) =>
+    (p) => {
+      const v = a(p);
+      if (v === null) return "null";
+      if (Array.isArray(v)) return "array";
+      return typeof v;
+    },
+  case: (args) => (p) => {
+    for (let i = 0; i < args.length - 1; i += 2) {
+      if (args[i](p)) return args[i + 1](p);
+    }
+    return args[args.length - 1](p);
+  },
+  max: (args) => (p) =>
+    Math.max(
+      ...args.map((a) => {
+        const v = a(p);
+        if (typeof v !== "number") throw new Error("Expected a number");
+        return v;
+      })
+    ),
+};
+
+function orderedComparison(test) {
+  return ([a, b]) =>
+    (p) => {
+      const x = a(p);
+      const y = b(p);
+      if (typeof x !== typeof y || !["number", "string"].includes(typeof x))
+        throw new Error("Cannot compare values of different types");
+      return test(x, y);
+    };
+}
+
+// --- Dates
+// Epoch ms of a date attribute: a number or a numeric string; missing, zero
+// or non-numeric means unset, the same rule as the map's date filter
+// (dateFilterExpression). GeoJSON date strings are converted on load.
+function dateMs(value) {
+  if (value == null) return null;
+  const n = Number(value);
+  return Number.isFinite(n) && n !== 0 ? n : null;
+}
+
+// Date strings such as ISO 8601 in `fields` -> epoch ms (null when
+// unparseable), in place; true when anything changed
+function dateStringsToMs(p, fields) {
+  let changed = false;
+  for (const field of fields) {
+    const value = p[field];
+    if (typeof value !== "string" || Number.isFinite(Number(value))) continue;
+    const ms = Date.parse(value);
+    p[field] = Number.isFinite(ms) ? ms : null;
+    changed = true;
+  }
+  return changed;
+}
+
+// Year of the first set date among `fields` (analytics by year)
+function firstDateYear(p, fields) {
+  for (const field of fields) {
+    const ms = dateMs(p[field]);
+    if (ms != null) return new Date(ms).getUTCFullYear();
+  }
+  return null;
+}
+
+// --- Summaries
+// Acres that count toward analytics: clipped to the drawn area when present
+function featureAcres(p) {
+  return Number(p.clipped_acres ?? p[FIELDS.acres] ?? 0);
+}
+
+function createSummary() {
+  return {
+    count: 0,
+    totalAcres: 0,
+    areaByGroup: {},
+    countsByYear: {},
+    areaByCode: {},
+    transitions: {}, // previous code -> code -> { count, acres }
+    groupByCode: {}, // code -> group, to classify old codes by group
+    members: [], // [featureId, acres] for per-district lookups (consistency KPIs)
+  };
+}
+
+function addToSummary(summary, p, id, dateFields) {
+  const acres = featureAcres(p);
+  const grp = p[FIELDS.group] || "Other";
+  summary.count++;
+  summary.totalAcres += acres;
+  summary.areaByGroup[grp] = (summary.areaByGroup[grp] || 0) + acres;
+
+  const y = firstDateYear(p, dateFields);
+  if (y) summary.countsByYear[y] = (summary.countsByYear[y] || 0) + 1;
+
+  const code = p[FIELDS.code] || "Unknown";
+  summary.areaByCode[code] = (summary.areaByCode[code] || 0) + acres;
+  if (p[FIELDS.code] != null) summary.groupByCode[code] = grp;
+
+  const previous = p[FIELDS.previousCode];
+  if (previous != null && previous !== "") {
+    const old = String(previous);
+    const row = summary.transitions[old] || (summary.transitions[old] = {});
+    const cell = row[code] || (row[code] = { count: 0, acres: 0 });
+    cell.count++;
+    cell.acres += acres;
+  }
+  summary.members.push([id, acres]);
+}
+
+// --- Planned Developments
+// One row per distinct PD name, sorted by name:
+// { name, count, acres, codes: { code: polygons }, firstDate, lastDate }
+// Dates are the earliest and latest of any of `dateFields` (epoch ms).
+function summarizePlannedDevelopments(propertiesList, dateFields) {
+  const byName = new Map();
+  for (const p of propertiesList) {
+    const value = p[FIELDS.pdName];
+    if (value == null || String(value).trim() === "") continue;
+    const name = String(value);
+    let pd = byName.get(name);
+    if (!pd) {
+      pd = {
+        name,
+        count: 0,
+        acres: 0,
+        codes: {},
+        firstDate: null,
+        lastDate: null,
+      };
+      byName.set(name, pd);
+    }
+    pd.count++;
+    pd.acres += featureAcres(p);
+    const code = p[FIELDS.code] || "Unknown";
+    pd.codes[code] = (pd.codes[code] || 0) + 1;
+    for (const field of dateFields) {
+      const ms = dateMs(p[field]);
+      if (ms == null) continue;
+      if (pd.firstDate == null || ms < pd.firstDate) pd.firstDate = ms;
+      if (pd.lastDate == null || ms > pd.lastDate) pd.lastDate = ms;
+    }
+  }
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,195 @@
+// Data worker for the GeoJSON fallback: parses the datasets, keeps an R-tree
+// over feature bounding boxes and answers search / aggregate requests, so the
+// main thread never parses or loops over the full FeatureCollections.
+//
+// Requests:  { id, type: "configure" | "load" | "search" | "get" | "aggregate" | "pds" | "fields", ...payload }
+//            { type: "cancel", target: id }
+// Replies:   { id, type: "progress", progress }  (aggregate only, throttled)
+//            { id, type: "result", result }
+//            { id, type: "error", message }
+
+importScripts("https://unpkg.com/rbush@3.0.1/rbush.min.js", "filter_engine.js");
+
+// Features aggregated between yields (lets cancel messages in)
+const AGGREGATE_CHUNK = 2000;
+const PROGRESS_INTERVAL_MS = 250;
+
+const datasets = new Map(); // name -> { features, tree, ids: Map(id -> index) }
+const running = new Set();
+const cancelled = new Set();
+
+const handlers = { configure, load, search, get, aggregate, pds, fields };
+
+self.onmessage = async (e) => {
+  const { id, type, ...payload } = e.data;
+  if (type === "cancel") {
+    if (running.has(payload.target)) cancelled.add(payload.target);
+    return;
+  }
+  running.add(id);
+  try {
+    const result = await handlers[type](payload, {
+      progress: (progress) =>
+        self.postMessage({ id, type: "progress", progress }),
+      isCancelled: () => cancelled.has(id),
+    });
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  } finally {
+    running.delete(id);
+    cancelled.delete(id);
+  }
+};
+
+// { fields } -> null; the page's field mapping (FIELDS, from config.json)
+function configure({ fields }) {
+  Object.assign(FIELDS, fields);
+  return null;
+}
+
+// { name, blob, idField, dateFields? } -> { count, bbox, blob? }
+// Date strings in dateFields become epoch ms (dateStringsToMs), which the
+// map's date filter can read; the rewritten file comes back as `blob` for
+// the map source.
+async function load({ name, blob, idField, dateFields = [] }) {
+  let data;
+  try {
+    data = JSON.parse(await blob.text());
+  } catch (err) {
+    throw new Error(`${name} data is not valid JSON (${err.message})`);
+  }
+  if (data?.type !== "FeatureCollection" || !Array.isArray(data.features))
+    throw new Error(`${name} data is not a GeoJSON FeatureCollection`);
+  const features = data.features;
+  const items = [];
+  const ids = new Map();
+  const extent = [Infinity, Infinity, -Infinity, -Infinity];
+  let datesChanged = false;
+
+  features.forEach((f, index) => {
+    if (dateStringsToMs(f.properties || {}, dateFields)) datesChanged = true;
+    const b = geometryBbox(f.geometry);
+    if (!b) return;
+    items.push({ minX: b[0], minY: b[1], maxX: b[2], maxY: b[3], index });
+    extent[0] = Math.min(extent[0], b[0]);
+    extent[1] = Math.min(extent[1], b[1]);
+    extent[2] = Math.max(extent[2], b[2]);
+    extent[3] = Math.max(extent[3], b[3]);
+    const id = f.id ?? (idField ? (f.properties || {})[idField] : null);
+    if (id != null) ids.set(id, index);
+  });
+
+  const tree = new RBush();
+  tree.load(items);
+  datasets.set(name, { features, tree, ids });
+  return {
+    count: features.length,
+    bbox: items.length ? extent : null,
+    ...(datesChanged && {
+      blob: new Blob([JSON.stringify(data)], { type: blob.type }),
+    }),
+  };
+}
+
+// { name, bbox?, filter? } -> features (bbox overlap, then filter expression)
+function search({ name, bbox, filter }) {
+  const { features } = dataset(name);
+  const matches = filter ? compileFilter(filter) : null;
+  return candidates(name, bbox)
+    .map((i) => features[i])
+    .filter((f) => !matches || matches(f.properties));
+}
+
+// { name, featureId } -> feature or null
+function get({ name, featureId }) {
+  const { features, ids } = dataset(name);
+  return ids.has(featureId) ? features[ids.get(featureId)] : null;
+}
+
+// { name, bbox?, filter?, dateFields, idField } -> summary (see createSummary)
+async function aggregate(
+  { name, bbox, filter, dateFields, idField },
+  { progress, isCancelled }
+) {
+  const { features } = dataset(name);
+  const matches = filter ? compileFilter(filter) : null;
+  const indices = candidates(name, bbox);
+  const summary = createSummary();
+  let lastProgress = Date.now();
+
+  for (let n = 0; n < indices.length; n++) {
+    if (n && n % AGGREGATE_CHUNK === 0) {
+      if (Date.now() - lastProgress > PROGRESS_INTERVAL_MS) {
+        progress({ ...summary, done: n / indices.length });
+        lastProgress = Date.now();
+      }
+      await new Promise((r) => setTimeout(r, 0));
+      if (isCancelled()) return null;
+    }
+    const f = features[indices[n]];
+    const p = f.properties || {};
+    if (matches && !matches(p)) continue;
+    addToSummary(summary, p, f.id ?? p[idField] ?? null, dateFields);
+  }
+  return summary;
+}
+
+// { name, dateFields } -> Planned Development rows (see summarizePlannedDevelopments)
+function pds({ name, dateFields }) {
+  const { features } = dataset(name);
+  return summarizePlannedDevelopments(
+    features.map((f) => f.properties || {}),
+    dateFields
+  );
+}
+
+// { name } -> [{ name, type: "number" | "text" }] for every property key present
+function fields({ name }) {
+  const types = new Map();
+  for (const f of dataset(name).features) {
+    for (const [key, value] of Object.entries(f.properties || {})) {
+      if (value == null || value === "") {
+        if (!types.has(key)) types.set(key, null);
+      } else {
+        const type = typeof value === "number" ? "number" : "text";
+        if (types.get(key) !== "text") types.set(key, type);
+      }
+    }
+  }
+  return [...types].map(([key, type]) => ({ name: key, type: type || "text" }));
+}
+
+function dataset(name) {
+  const ds = datasets.get(name);
+  if (!ds) throw new Error(`Dataset "${name}" is not loaded`);
+  return ds;
+}
+
+// Feature indices whose bbox overlaps `bbox` (all when omitted), in file order
+function candidates(name, bbox) {
+  const { features, tree } = dataset(name);
+  if (!bbox) return features.map((f, i) => i);
+  const [minX, minY, maxX, maxY] = bbox;
+  return tree
+    .search({ minX, minY, maxX, maxY })
+    .map((item) => item.index)
+    .sort((a, b) => a - b);
+}
+
+function geometryBbox(geometry) {
+  if (!geometry) return null;
+  const b = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = (coords) => {
+    if (typeof coords[0] === "number") {
+      b[0] = Math.min(b[0], coords[0]);
+      b[1] = Math.min(b[1], coords[1]);
+      b[2] = Math.max(b[2], coords[0]);
+      b[3] = Math.max(b[3], coords[1]);
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  visit(geometry.coordinates || []);
+  return b[0] === Infinity ? null : b;
+}
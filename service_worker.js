@@ -0,0 +1,285 @@
+// Offline support: precaches the app shell, the CDN libraries and the data
+// files, and answers from the cache when the network is unavailable.
+//
+// Shell (same origin):     network first, cache fallback (deploys show up online)
+// Libraries (CDN):         cache first; every URL pins a version
+// Data (data/*, datasets): network first; Range requests are sliced out of the
+//                          cached whole file, so PMTiles reads work offline
+//                          (basemap glyphs live here too, cached as used)
+// Basemap tiles:           network first, cached as they are viewed (capped)
+//
+// Bump CACHE_VERSION when a deploy changes the shell, libraries or data:
+// the new worker caches everything again and drops the old caches.
+// Pages are told { type: "offline", offline } whenever answers switch
+// between network and cache, and when they ask with { type: "status" } (a
+// page loaded while offline opened after the switch was announced).
+
+const CACHE_VERSION = "v4";
+const CACHE_PREFIX = "oc-zoning-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const DATA_CACHE = `${CACHE_PREFIX}data-${CACHE_VERSION}`;
+const TILE_CACHE = `${CACHE_PREFIX}tiles-${CACHE_VERSION}`;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "config.json",
+  "styles.css",
+  "app_maplibre.js",
+  "filter_engine.js",
+  "geojson_worker.js",
+  "manifest.webmanifest",
+  "assets/BV_Web_Icon.png",
+];
+
+// Loaded by index.html, the data worker and the exports that need them
+const LIBRARY_FILES = [
+  "https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.css",
+  "https://unpkg.com/maplibre-gl@3.6.2/dist/maplibre-gl.js",
+  "https://unpkg.com/pmtiles@3.0.6/dist/pmtiles.js",
+  "https://unpkg.com/@turf/turf@6.5.0/turf.min.js",
+  "https://unpkg.com/rbush@3.0.1/rbush.min.js",
+  "https://unpkg.com/pbf@4.0.1/dist/pbf.js",
+  // vector-tile and the module it imports
+  "https://cdn.jsdelivr.net/npm/@mapbox/vector-tile@2.0.3/+esm",
+  "https://cdn.jsdelivr.net/npm/@mapbox/point-geometry@1.1.0/+esm",
+  "https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js",
+  "https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js",
+  "https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js",
+  "https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/sql-wasm.js",
+  "https://cdn.jsdelivr.net/npm/sql.js@1.8.0/dist/sql-wasm.wasm",
+];
+const LIBRARY_HOSTS = ["unpkg.com", "cdn.jsdelivr.net"];
+
+// Dataset paths are read from config.json; files the deploy doesn't ship
+// (PMTiles or the GeoJSON fallback) are skipped
+const EXTRA_DATA_FILES = ["data/basemap.pmtiles"];
+const DATA_PATH = /\/data\/|\.(pmtiles|geojson)$/;
+
+// Raster basemaps (BASEMAPS in app_maplibre.js)
+const TILE_HOSTS = [
+  "tile.openstreetmap.org",
+  "basemaps.cartocdn.com",
+  "server.arcgisonline.com",
+];
+const MAX_TILE_ENTRIES = 3000;
+
+let offline = false;
+const refreshing = new Set(); // data URLs being re-downloaded
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      // the shell is required; libraries and data are best effort (they
+      // are also cached the first time they are used)
+      await (await caches.open(SHELL_CACHE)).addAll(SHELL_FILES);
+      await Promise.allSettled([
+        ...LIBRARY_FILES.map((url) => cacheResponse(SHELL_CACHE, url)),
+        ...(await dataFiles()).map((url) => cacheResponse(DATA_CACHE, url)),
+      ]);
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys()) {
+        if (name.startsWith(CACHE_PREFIX) && !current.includes(name))
+          await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "status")
+    event.source?.postMessage({ type: "offline", offline });
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" && request.method !== "HEAD") return;
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    if (DATA_PATH.test(url.pathname)) event.respondWith(dataResponse(event));
+    else event.respondWith(shellResponse(request));
+  } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(libraryResponse(request));
+  } else if (TILE_HOSTS.some((host) => url.hostname.endsWith(host))) {
+    event.respondWith(tileResponse(request));
+  }
+});
+
+async function dataFiles() {
+  try {
+    const config = await (await caches.match("config.json")).json();
+    const paths = Object.values(config.datasets || {}).flatMap((d) => [
+      d.pmtiles,
+      d.geojson,
+    ]);
+    return [...paths, ...EXTRA_DATA_FILES].filter(Boolean);
+  } catch (err) {
+    return EXTRA_DATA_FILES; // the page reports a broken config
+  }
+}
+
+async function shellResponse(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok && request.method === "GET")
+      await putInCache(SHELL_CACHE, request, response.clone());
+    setOffline(false);
+    return response;
+  } catch (err) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached =
+      (await cache.match(request, {
+        ignoreSearch: true,
+        ignoreMethod: true,
+      })) ||
+      (request.mode === "navigate" && (await cache.match("index.html")));
+    if (!cached) throw err;
+    setOffline(true);
+    return request.method === "HEAD" ? headResponse(cached) : cached;
+  }
+}
+
+async function libraryResponse(request) {
+  const cached = await caches.match(request, { ignoreMethod: true });
+  if (cached) return request.method === "HEAD" ? headResponse(cached) : cached;
+  const response = await fetch(request);
+  // <script> tags without crossorigin get opaque responses
+  if ((response.ok || response.type === "opaque") && request.method === "GET")
+    await putInCache(SHELL_CACHE, request, response.clone());
+  return response;
+}
+
+async function dataResponse(event) {
+  const { request } = event;
+  const range = request.headers.get("Range");
+  const cache = await caches.open(DATA_CACHE);
+  const key = request.url.split("?")[0];
+  try {
+    const response = await fetch(request);
+    setOffline(false);
+    if (!response.ok) return response;
+    if (range) {
+      // a changed ETag means a new deploy of the file: fetch it again
+      const cached = await cache.match(key);
+      const etag = response.headers.get("ETag");
+      if (!cached || (etag && cached.headers.get("ETag") !== etag))
+        event.waitUntil(refreshData(key));
+    } else if (request.method === "GET") {
+      await putInCache(DATA_CACHE, key, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(key);
+    if (!cached) throw err;
+    setOffline(true);
+    if (request.method === "HEAD") return headResponse(cached);
+    return range ? rangeResponse(cached, range) : cached;
+  }
+}
+
+async function tileResponse(request) {
+  const cache = await caches.open(TILE_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+      trimCache(TILE_CACHE, MAX_TILE_ENTRIES);
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request);
+    if (!cached) throw err;
+    setOffline(true);
+    return cached;
+  }
+}
+
+// 206 slice of a cached whole-file response for "bytes=a-b", "bytes=a-" or
+// "bytes=-n" (the forms PMTiles and browsers send)
+async function rangeResponse(cached, range) {
+  const blob = await cached.blob();
+  const m = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  let start = m && m[1] !== "" ? Number(m[1]) : null;
+  let end = m && m[2] !== "" ? Number(m[2]) : blob.size - 1;
+  if (m && start === null && m[2] !== "") {
+    start = Math.max(blob.size - Number(m[2]), 0); // suffix range
+    end = blob.size - 1;
+  }
+  if (start === null || start >= blob.size || end < start) {
+    return new Response(null, {
+      status: 416,
+      headers: { "Content-Range": `bytes */${blob.size}` },
+    });
+  }
+  end = Math.min(end, blob.size - 1);
+  const headers = new Headers({
+    "Content-Type": cached.headers.get("Content-Type") || blob.type,
+    "Content-Length": String(end - start + 1),
+    "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+    "Accept-Ranges": "bytes",
+  });
+  const etag = cached.headers.get("ETag");
+  if (etag) headers.set("ETag", etag);
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers,
+  });
+}
+
+function headResponse(cached) {
+  return new Response(null, {
+    status: cached.status,
+    statusText: cached.statusText,
+    headers: cached.headers,
+  });
+}
+
+async function refreshData(url) {
+  if (refreshing.has(url)) return;
+  refreshing.add(url);
+  try {
+    await cacheResponse(DATA_CACHE, url);
+  } finally {
+    refreshing.delete(url);
+  }
+}
+
+// Fetch `url` whole (no Range) and store it; missing files are skipped
+async function cacheResponse(cacheName, url) {
+  const response = await fetch(url, { cache: "no-cache" });
+  if (response.ok) await putInCache(cacheName, url, response);
+}
+
+async function putInCache(cacheName, request, response) {
+  try {
+    await (await caches.open(cacheName)).put(request, response);
+  } catch (err) {
+    // quota exceeded: keep serving from the network
+  }
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  // keys come back in insertion order: drop the oldest
+  for (const key of keys.slice(0, Math.max(keys.length - maxEntries, 0)))
+    await cache.delete(key);
+}
+
+async function setOffline(value) {
+  if (value === offline) return;
+  offline = value;
+  for (const client of await self.clients.matchAll({ type: "window" }))
+    client.postMessage({ type: "offline", offline });
+}
@@ -0,0 +1,516 @@
+// Parity between the two consumers of every filter expression: MapLibre
+// (the layer filter, via the style spec's featureFilter) and compileFilter
+// (exports, analytics, legend counts and the GeoJSON data worker). Each
+// expression runs over the same fixture features and both sides must select
+// the same ones.
+//
+// The app files are plain browser scripts, so they run in a VM context with
+// just enough of `document` and `window` for their top-level code.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { featureFilter } = require("@maplibre/maplibre-gl-style-spec");
+
+const app = loadScripts(["filter_engine.js", "app_maplibre.js"]);
+const run = (code) => vm.runInContext(code, app);
+const { compileFilter } = app;
+const DEFAULT_FILTERS = run("DEFAULT_FILTERS");
+
+const day = (y, m = 0, d = 1) => Date.UTC(y, m, d);
+
+const FEATURES = [
+  {},
+  {
+    OBJECTID: 1,
+    ZONING: "R-1",
+    ZONINGOLD: "A-1",
+    z_group: "Residential",
+    PD_NAME: null,
+    area_acres: 2.5,
+    BCC_DATE: day(1995, 5, 1),
+    P_Z_DATE: 0,
+    MAINT_DATE: null,
+  },
+  {
+    OBJECTID: 2,
+    ZONING: "PD",
+    ZONINGOLD: "R-1",
+    z_group: "Planned Development",
+    PD_NAME: "Lake Nona",
+    area_acres: 640,
+    BCC_DATE: day(2012, 2, 14),
+    P_Z_DATE: day(2011, 11, 1),
+    MAINT_DATE: day(2021, 6, 30),
+  },
+  {
+    OBJECTID: 3,
+    ZONING: "C-2",
+    ZONINGOLD: "",
+    z_group: "Commercial",
+    area_acres: "12.5", // numeric string
+    BCC_DATE: "817776000000", // epoch ms as a string
+  },
+  {
+    OBJECTID: 4,
+    ZONING: "A-2",
+    z_group: "Rural Settlement", // not a configured category: "Other"
+    area_acres: "n/a",
+    BCC_DATE: "2005-03-01", // ISO date string
+    MAINT_DATE: day(1979, 11, 31),
+  },
+  {
+    OBJECTID: 5,
+    ZONING: 12, // numeric code
+    ZONINGOLD: 11,
+    z_group: null,
+    area_acres: 5000,
+    BCC_DATE: day(1980, 0, 1), // first ms of the default range
+    P_Z_DATE: Date.UTC(2030, 11, 31, 23, 59, 59, 999), // last ms
+  },
+  {
+    OBJECTID: 6,
+    ZONING: "i-1",
+    ZONINGOLD: "I-1",
+    z_group: "Industrial",
+    PD_NAME: "",
+    area_acres: 0,
+    BCC_DATE: day(2031, 0, 1),
+    MAINT_DATE: true,
+  },
+  {
+    OBJECTID: 7,
+    ZONING: "A-1",
+    z_group: "Agricultural",
+    area_acres: -1,
+    BCC_DATE: -86400000, // 1969-12-31
+    P_Z_DATE: "",
+  },
+];
+
+function loadScripts(files) {
+  const noop = () => {};
+  const context = vm.createContext({
+    console,
+    setTimeout,
+    clearTimeout,
+    document: { addEventListener: noop },
+    window: {
+      addEventListener: noop,
+      location: { hash: "", href: "http://localhost/" },
+    },
+  });
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(__dirname, "..", file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return context;
+}
+
+// Assert MapLibre and compileFilter select the same fixture features
+function assertParity(expr, label = JSON.stringify(expr)) {
+  // copy out of the VM realm: plain JSON, as setFilter receives it
+  const json = JSON.parse(JSON.stringify(expr));
+  const gl = featureFilter(json);
+  const js = compileFilter(json);
+  FEATURES.forEach((properties, i) => {
+    assert.equal(
+      js(properties),
+      gl.filter({ zoom: 14 }, { type: 3, properties }),
+      `${label}: feature ${i} ${JSON.stringify(properties)}`
+    );
+  });
+}
+
+function filters(overrides) {
+  return { ...DEFAULT_FILTERS, ...overrides };
+}
+
+const expression = (overrides) => app.buildFilterExpression(filters(overrides));
+
+test("operators the filters and styles are built from", () => {
+  for (const expr of [
+    true,
+    false,
+    ["all"],
+    ["any"],
+    ["!", ["has", "PD_NAME"]],
+    ["has", "ZONINGOLD"],
+    ["==", ["get", "ZONING"], "R-1"],
+    ["!=", ["get", "ZONING"], "R-1"],
+    ["==", ["get", "PD_NAME"], null],
+    ["in", ["get", "z_group"], ["literal", ["Residential", "Commercial"]]],
+    ["in", ["get", "ZONING"], ["literal", [12, 13]]],
+    ["in", ["to-string", ["get", "ZONINGOLD"]], ["literal", ["R-1", ""]]],
+    ["==", ["coalesce", ["get", "z_group"], "Other"], "Other"],
+    ["==", ["coalesce", ["get", "MISSING"], ["get", "PD_NAME"]], null],
+    ["==", ["to-number", ["get", "MISSING"]], 0],
+    [">", ["to-number", ["get", "area_acres"], 0], 10],
+    ["==", ["to-number", ["get", "BCC_DATE"], 0], 0],
+    ["==", ["to-string", ["get", "MISSING"]], ""],
+    ["==", ["to-string", ["get", "ZONING"]], "12"],
+    ["==", ["to-string", ["get", "MAINT_DATE"]], "true"],
+    ["<", ["get", "area_acres"], 100],
+    [">=", ["get", "ZONING"], "C"],
+    ["<=", ["get", "BCC_DATE"], day(2000)],
+    [
+      "!=",
+      ["index-of", "pd", ["downcase", ["to-string", ["get", "ZONING"]]]],
+      -1,
+    ],
+    ["==", ["upcase", ["to-string", ["get", "ZONING"]]], "I-1"],
+    ["==", ["typeof", ["get", "area_acres"]], "number"],
+    ["==", ["typeof", ["get", "area_acres"]], "string"],
+    ["==", ["typeof", ["get", "PD_NAME"]], "null"],
+    ["==", ["typeof", ["get", "MAINT_DATE"]], "boolean"],
+    [
+      ">",
+      [
+        "max",
+        ["to-number", ["get", "BCC_DATE"], 0],
+        ["to-number", ["get", "MAINT_DATE"], 0],
+      ],
+      day(2000),
+    ],
+    [
+      "==",
+      [
+        "case",
+        ["!=", ["to-number", ["get", "BCC_DATE"], 0], 0],
+        ["to-number", ["get", "BCC_DATE"], 0],
+        ["!=", ["to-number", ["get", "P_Z_DATE"], 0], 0],
+        ["to-number", ["get", "P_Z_DATE"], 0],
+        0,
+      ],
+      0,
+    ],
+  ]) {
+    assertParity(expr);
+  }
+});
+
+test("default filters", () => {
+  assertParity(expression({}), "defaults");
+});
+
+test("group and legend filters", () => {
+  assertParity(expression({ group: "Residential" }), "group");
+  assertParity(expression({ group: "Other" }), "group Other");
+  assertParity(
+    expression({ hiddenGroups: ["Residential", "Commercial"] }),
+    "hidden groups"
+  );
+  assertParity(expression({ hiddenGroups: ["Other"] }), "hidden Other");
+});
+
+test("area filter", () => {
+  assertParity(expression({ areaMin: 0, areaMax: 10 }), "0-10 ac");
+  assertParity(expression({ areaMin: 10, areaMax: 1000 }), "10-1000 ac");
+  assertParity(expression({ areaMin: 2.5, areaMax: 2.5 }), "exactly 2.5 ac");
+});
+
+test("search filter", () => {
+  for (const search of ["r-1", "LAKE", "12", "residential", "zzz"])
+    assertParity(expression({ search }), `search "${search}"`);
+});
+
+test("zoning code and transition filters", () => {
+  assertParity(expression({ zoningCode: "R-1" }), "code R-1");
+  assertParity(expression({ zoningCode: "12" }), "numeric code");
+  for (const transition of [
+    { level: "code", from: "R-1", to: "PD", oldCodes: ["R-1"] },
+    { level: "group", from: "A-1", to: "Residential", oldCodes: ["A-1"] },
+    { level: "group", from: "11", to: "Other", oldCodes: ["11"] },
+  ]) {
+    assertParity(
+      expression({ transition }),
+      `transition ${transition.from} -> ${transition.to}`
+    );
+  }
+});
+
+test("date filters", () => {
+  const dateFields = ["ANY", ...run("DATE_FIELDS")];
+  for (const dateField of dateFields) {
+    for (const includeUndated of [true, false]) {
+      for (const [yearMin, yearMax] of [
+        [1980, 2030],
+        [1995, 1995],
+        [2011, 2021],
+        [1960, 1979],
+      ]) {
+        assertParity(
+          expression({ dateField, includeUndated, yearMin, yearMax }),
+          `${dateField} ${yearMin}-${yearMax} undated=${includeUndated}`
+        );
+      }
+    }
+  }
+});
+
+test("combined filters", () => {
+  assertParity(
+    expression({
+      group: "Planned Development",
+      areaMin: 100,
+      search: "nona",
+      dateField: "BCC_DATE",
+      includeUndated: false,
+      yearMin: 2010,
+      yearMax: 2015,
+    }),
+    "combined"
+  );
+});
+
+test("style classes (map colors and legend counts)", () => {
+  run(`state.styleCodes = ["R-1", "PD", "12"]`);
+  for (const mode of Object.keys(run("STYLE_MODES"))) {
+    for (const dateField of ["ANY", "BCC_DATE"]) {
+      run(`state.filters.dateField = ${JSON.stringify(dateField)}`);
+      for (const c of run(`styleClasses(${JSON.stringify(mode)})`))
+        assertParity(c.filter, `${mode} ${dateField}: ${c.label}`);
+    }
+  }
+  run(`state.filters.dateField = "ANY"; state.styleCodes = []`);
+});
+
+// --- Query builder
+// Values for each rule type, chosen to split the fixtures; `lists` for the
+// list operators
+const QUERY_VALUES = {
+  text: {
+    field: "ZONING",
+    values: ["R-1", "r", "pd", "12", "  C-2 "],
+    lists: ["R-1, PD, C-2", "12", " , i-1"],
+  },
+  number: {
+    field: "area_acres",
+    values: ["2.5", "0", "640", "12", "-1"],
+    lists: ["2.5, 640", "12, x", "5000"],
+  },
+  date: {
+    field: "BCC_DATE",
+    values: ["1995-06-01", "2005-03-01", "1980-01-01", "1969-12-31"],
+  },
+};
+
+test("every query builder operator", () => {
+  const operators = run("QUERY_OPERATORS");
+  for (const [operator, op] of Object.entries(operators)) {
+    for (const type of op.types) {
+      const { field, values, lists } = QUERY_VALUES[type];
+      for (const value of op.noValue ? [""] : op.list ? lists : values) {
+        const rule = { field, type, operator, value };
+        const expr = app.queryRuleExpression(rule);
+        assert.ok(expr, `${operator} ${type} "${value}" compiles`);
+        assertParity(expr, `${type} ${operator} "${value}"`);
+      }
+    }
+  }
+});
+
+test("query builder: fields of another type than the rule", () => {
+  // a rule keeps its type when the attribute holds other values
+  for (const rule of [
+    { field: "BCC_DATE", type: "text", operator: "eq", value: "2005-03-01" },
+    { field: "BCC_DATE", type: "number", operator: "neq", value: "0" },
+    { field: "ZONING", type: "number", operator: "in", value: "12, 13" },
+    { field: "area_acres", type: "text", operator: "in", value: "12.5, n/a" },
+    {
+      field: "area_acres",
+      type: "date",
+      operator: "before",
+      value: "1970-01-02",
+    },
+    { field: "PD_NAME", type: "text", operator: "empty", value: "" },
+    { field: "P_Z_DATE", type: "date", operator: "notEmpty", value: "" },
+  ]) {
+    assertParity(app.queryRuleExpression(rule), JSON.stringify(rule));
+  }
+});
+
+test("query builder: one rule per type", () => {
+  const matching = (rule) =>
+    FEATURES.filter(compileFilter(app.queryRuleExpression(rule))).map(
+      (p) => p.OBJECTID
+    );
+  // text operators ignore case
+  const zoning = { field: "ZONING", type: "text" };
+  assert.deepEqual(matching({ ...zoning, operator: "eq", value: "I-1" }), [6]);
+  assert.deepEqual(
+    matching({ ...zoning, operator: "in", value: "pd, I-1" }),
+    [2, 6]
+  );
+  assert.ok(
+    !matching({ ...zoning, operator: "neq", value: "I-1" }).includes(6)
+  );
+  assert.deepEqual(
+    matching({ ...zoning, operator: "startsWith", value: "I" }),
+    [6]
+  );
+  // a numeric string is not a number for any number operator
+  const acres = { field: "area_acres", type: "number", value: "12.5" };
+  for (const operator of ["eq", "neq", "in", "lte", "gte"])
+    assert.ok(
+      !matching({ ...acres, operator }).includes(3),
+      `${operator} 12.5 skips "12.5"`
+    );
+});
+
+test("query builder: AND/OR groups", () => {
+  const query = {
+    op: "any",
+    rules: [
+      { field: "z_group", type: "text", operator: "eq", value: "Commercial" },
+      {
+        op: "all",
+        rules: [
+          {
+            field: "area_acres",
+            type: "number",
+            operator: "gte",
+            value: "100",
+          },
+          {
+            field: "BCC_DATE",
+            type: "date",
+            operator: "after",
+            value: "2010-01-01",
+          },
+          { field: "", type: "text", operator: "eq", value: "ignored" },
+        ],
+      },
+    ],
+  };
+  assertParity(expression({ query }), "query groups");
+});
+
+// --- Dates
+test("dateMs reads numbers and numeric strings only", () => {
+  const { dateMs } = app;
+  assert.equal(dateMs(day(1995, 5, 1)), day(1995, 5, 1));
+  assert.equal(dateMs("817776000000"), 817776000000);
+  assert.equal(dateMs(-86400000), -86400000);
+  // as in the map filter: MapLibre can't parse date strings
+  for (const unset of [null, undefined, 0, "0", "", "  ", "n/a", NaN])
+    assert.equal(dateMs(unset), null, `${JSON.stringify(unset)} is unset`);
+  assert.equal(dateMs("2005-03-01"), null);
+});
+
+test("date strings are converted to epoch ms on load", () => {
+  const fields = run("DATE_FIELDS");
+  const p = {
+    BCC_DATE: "2005-03-01",
+    P_Z_DATE: "March 1, 2005 UTC",
+    MAINT_DATE: "n/a",
+  };
+  assert.equal(app.dateStringsToMs(p, fields), true);
+  assert.deepEqual(p, {
+    BCC_DATE: day(2005, 2, 1),
+    P_Z_DATE: day(2005, 2, 1),
+    MAINT_DATE: null,
+  });
+  const numeric = {
+    BCC_DATE: "817776000000",
+    P_Z_DATE: day(1999),
+    MAINT_DATE: "",
+  };
+  assert.equal(app.dateStringsToMs(numeric, fields), false);
+  assert.equal(numeric.BCC_DATE, "817776000000");
+});
+
+test("year filter and analytics years agree", () => {
+  const fields = run("DATE_FIELDS");
+  // as loaded: the worker converts the GeoJSON date strings
+  const loaded = FEATURES.map((p) => {
+    const copy = { ...p };
+    app.dateStringsToMs(copy, fields);
+    return copy;
+  });
+  for (const features of [FEATURES, loaded]) {
+    const years = new Set(
+      features.flatMap((p) => fields.map((f) => app.firstDateYear(p, [f])))
+    );
+    for (const year of [...years].filter((y) => y != null)) {
+      for (const dateField of ["ANY", ...fields]) {
+        const used = dateField === "ANY" ? fields : [dateField];
+        const yearOnly = app.dateFilterExpression(
+          filters({
+            dateField,
+            yearMin: year,
+            yearMax: year,
+            includeUndated: false,
+          })
+        );
+        const matches = compileFilter(yearOnly);
+        for (const p of features) {
+          const first = app.firstDateYear(p, used);
+          const label = `${JSON.stringify(p)} ${dateField} ${year}`;
+          // the chart bar's districts pass when that year is brushed
+          if (first === year) assert.ok(matches(p), label);
+          if (dateField !== "ANY")
+            assert.equal(matches(p), first === year, label);
+        }
+        assertParity(yearOnly);
+      }
+    }
+  }
+  assert.equal(app.firstDateYear(loaded[4], fields), 2005);
+  assert.equal(app.firstDateYear(FEATURES[4], ["BCC_DATE"]), null);
+});
+
+test("PD date ranges read the loaded dates", () => {
+  const fields = run("DATE_FIELDS");
+  assert.equal(
+    app.firstDateYear({ BCC_DATE: "n/a", P_Z_DATE: day(1999) }, fields),
+    1999
+  );
+  assert.equal(app.firstDateYear({ BCC_DATE: "" }, fields), null);
+
+  const [pd] = app.summarizePlannedDevelopments(
+    [
+      { PD_NAME: "Lake Nona", BCC_DATE: day(2012, 2, 14) },
+      { PD_NAME: "Lake Nona", MAINT_DATE: day(2021, 6, 30) },
+    ],
+    fields
+  );
+  assert.equal(pd.firstDate, day(2012, 2, 14));
+  assert.equal(pd.lastDate, day(2021, 6, 30));
+});
+
+test("FLU categories match whole codes, then descriptions", () => {
+  const category = (FLUM) => app.fluCategory({ FLUM });
+  assert.equal(category("C"), "Commercial");
+  assert.equal(category("O"), "Commercial");
+  assert.equal(category("RS 1/5"), "Rural");
+  assert.equal(category("PD-LDR"), "Planned Development");
+  assert.equal(category("LDR (0-4 du/ac)"), "Residential");
+  assert.equal(category("PR/OS"), "Conservation");
+  assert.equal(category("Low Density Residential"), "Residential");
+  assert.equal(category("Office"), "Commercial");
+  // a lone letter elsewhere in a description is not a code
+  assert.equal(category("Residential C"), "Residential");
+  assert.equal(category("Parks & Recreation/Open Space"), "Conservation");
+  assert.equal(category("Lake O"), null);
+});
+
+test("consistency re-runs when more of a district has loaded", () => {
+  const { coverageGrew } = app;
+  const was = { zoom: 12, pieces: 2, bbox: [0, 0, 2, 1] };
+  const cached = { status: "consistent", coverage: was };
+  assert.equal(coverageGrew(undefined, was), true);
+  assert.equal(coverageGrew(cached, was), false);
+  assert.equal(coverageGrew(cached, { ...was, zoom: 13 }), true);
+  assert.equal(coverageGrew(cached, { ...was, zoom: 11 }), false);
+  assert.equal(coverageGrew(cached, { ...was, pieces: 3 }), true);
+  assert.equal(coverageGrew(cached, { ...was, pieces: 1 }), false);
+  assert.equal(
+    coverageGrew(cached, { ...was, pieces: 1, bbox: [1, 0, 3, 1] }),
+    true
+  );
+  // GeoJSON districts are whole
+  assert.equal(coverageGrew({ status: "consistent" }, undefined), false);
+});